@@ -0,0 +1,370 @@
+// ====================================================================
+// ===== CHARTS =======================================================
+// ====================================================================
+// A line chart on a canvas for simulation history samples, shared by the live graph and the
+// results graphs. The caller supplies a catalogue of series { label, unit, color, value(sample) }
+// and picks which to plot; the x-axis is time or distance. Scroll to zoom, drag to pan,
+// double-click to reset, hover for a crosshair with exact values. Series with the same unit
+// share a scale; the first two units get the left and right axes.
+//
+//     const chart = createChart(canvas, { catalogue: CHART_SERIES, series: ['vel'], xAxis: 'distance' });
+//     chart.setData(state.history, { bands: [{ from: 0, to: 250, color: '#a5f3fc', label: 'ICE' }] });
+//     chart.draw();
+
+const CHART_X_AXES = {
+    time: { label: 'Time', unit: 's', value: sample => sample.t },
+    distance: { label: 'Distance', unit: 'm', value: sample => sample.pos }
+};
+
+const CHART_MIN_SPAN = 0.5; // Smallest x range zooming can reach, in axis units
+const CHART_ZOOM_STEP = 1.25; // Range grows or shrinks by this per wheel notch
+
+function niceStep(span, count) {
+    const raw = span / count;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+    const residual = raw / magnitude;
+    return magnitude * (residual > 5 ? 10 : residual > 2 ? 5 : residual > 1 ? 2 : 1);
+}
+
+function formatChartValue(value) {
+    const size = Math.abs(value);
+    return value.toFixed(size >= 1000 || Number.isInteger(value) ? 0 : size >= 10 ? 1 : 2);
+}
+
+/**
+ * Creates a chart drawing into canvas. options: catalogue (series definitions by key), series
+ * (keys to plot), xAxis ('time' or 'distance') and follow ({ time, distance }: while not
+ * zoomed, show only this much of the latest data - for a live graph).
+ */
+function createChart(canvas, { catalogue, series = [], xAxis = 'time', follow = null } = {}) {
+    const ctx = canvas.getContext('2d');
+    let selected = series.filter(key => catalogue[key]);
+    let axis = CHART_X_AXES[xAxis] ? xAxis : 'time';
+    let samples = [];
+    let overlays = []; // { name, color, samples } - other runs, drawn dashed for the first series
+    let bands = []; // { from, to, color, label } shaded stretches of the x-axis
+    let zoom = null; // { min, max } x range while zoomed or panned, null = automatic
+    let cursor = null; // { x, y } canvas position of the crosshair
+    let drag = null;
+    let plot = null; // Plot area of the latest draw(), for mapping pointer positions
+
+    const xOf = sample => CHART_X_AXES[axis].value(sample);
+
+    function getExtent() {
+        const all = samples.concat(...overlays.map(overlay => overlay.samples));
+        if (!all.length) return { min: 0, max: 1 };
+        const values = all.map(xOf);
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        return { min: min, max: max > min ? max : min + 1 };
+    }
+
+    function getRange() {
+        const extent = getExtent();
+        if (zoom) return zoom;
+        const span = follow ? follow[axis] : null;
+        return span && extent.max - extent.min > span ? { min: extent.max - span, max: extent.max } : extent;
+    }
+
+    /** Keeps a zoomed range inside the data and no narrower than CHART_MIN_SPAN. */
+    function clampRange(min, max) {
+        const extent = getExtent();
+        const span = Math.min(Math.max(max - min, CHART_MIN_SPAN), extent.max - extent.min);
+        const start = Math.min(Math.max(min, extent.min), extent.max - span);
+        return { min: start, max: start + span };
+    }
+
+    function toCanvas(e) {
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * (canvas.width / rect.width),
+            y: (e.clientY - rect.top) * (canvas.height / rect.height)
+        };
+    }
+
+    function nearest(list, x) {
+        let best = null;
+        list.forEach(sample => {
+            if (!best || Math.abs(xOf(sample) - x) < Math.abs(xOf(best) - x)) best = sample;
+        });
+        return best;
+    }
+
+    /** One scale per unit, over the samples in the visible x range (zero always included). */
+    function getScales(range) {
+        const visible = list => list.filter(sample => xOf(sample) >= range.min && xOf(sample) <= range.max);
+        const scales = {};
+        selected.forEach((key, index) => {
+            const definition = catalogue[key];
+            const lists = [visible(samples)].concat(index === 0 ? overlays.map(overlay => visible(overlay.samples)) : []);
+            const values = [].concat(...lists.map(list => list.map(definition.value)));
+            const scale = scales[definition.unit] || (scales[definition.unit] = { min: 0, max: 0, color: definition.color });
+            scale.min = Math.min(scale.min, ...values);
+            scale.max = Math.max(scale.max, ...values);
+        });
+        Object.values(scales).forEach(scale => {
+            if (scale.max === scale.min) scale.max = scale.min + 1;
+            scale.step = niceStep(scale.max - scale.min, 4);
+            scale.min = Math.floor(scale.min / scale.step) * scale.step;
+            scale.max = Math.ceil(scale.max / scale.step) * scale.step;
+        });
+        return scales;
+    }
+
+    /** Lays the legend out in rows above the plot; returns the rows of { text, color, x }. */
+    function layoutLegend(fontSize, width) {
+        const entries = selected.map(key => ({ text: `${catalogue[key].label} (${catalogue[key].unit})`, color: catalogue[key].color }))
+            .concat(selected.length ? overlays.map(overlay => ({ text: `- - ${overlay.name}`, color: overlay.color })) : []);
+        const rows = [[]];
+        let x = 6;
+        entries.forEach(entry => {
+            const entryWidth = ctx.measureText(entry.text).width + 18;
+            if (x + entryWidth > width && rows[rows.length - 1].length) {
+                rows.push([]);
+                x = 6;
+            }
+            rows[rows.length - 1].push({ ...entry, x: x });
+            x += entryWidth;
+        });
+        return entries.length ? rows : [];
+    }
+
+    function draw() {
+        const w = canvas.width;
+        const h = canvas.height;
+        const fontSize = Math.max(10, Math.round(h / 22));
+        ctx.font = `${fontSize}px Arial`;
+
+        ctx.clearRect(0, 0, w, h);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.fillRect(0, 0, w, h);
+
+        const legendRows = layoutLegend(fontSize, w);
+        const units = [];
+        selected.forEach(key => {
+            if (!units.includes(catalogue[key].unit)) units.push(catalogue[key].unit);
+        });
+        const axisWidth = fontSize * 4;
+        plot = {
+            left: units.length ? axisWidth : 8,
+            right: w - (units.length > 1 ? axisWidth : 8),
+            top: 6 + legendRows.length * (fontSize + 4) + 4,
+            bottom: h - fontSize * 2 - 4
+        };
+        const plotWidth = plot.right - plot.left;
+        const plotHeight = plot.bottom - plot.top;
+
+        const range = getRange();
+        const scales = getScales(range);
+        const xToPx = x => plot.left + ((x - range.min) / (range.max - range.min)) * plotWidth;
+        const yToPx = (value, scale) => plot.bottom - ((value - scale.min) / (scale.max - scale.min)) * plotHeight;
+
+        // Legend
+        legendRows.forEach((row, rowIndex) => {
+            const y = 6 + rowIndex * (fontSize + 4) + fontSize / 2;
+            row.forEach(entry => {
+                ctx.fillStyle = entry.color;
+                ctx.fillRect(entry.x, y - 4, 12, 8);
+                ctx.textAlign = 'left';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(entry.text, entry.x + 16, y);
+            });
+        });
+        ctx.textBaseline = 'alphabetic';
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(plot.left, plot.top, plotWidth, plotHeight);
+        ctx.clip();
+
+        // Shaded stretches (e.g. surfaces), labelled when there is room
+        bands.forEach(band => {
+            const from = xToPx(Math.max(band.from, range.min));
+            const to = xToPx(Math.min(band.to, range.max));
+            if (to <= from) return;
+            ctx.globalAlpha = 0.18;
+            ctx.fillStyle = band.color;
+            ctx.fillRect(from, plot.top, to - from, plotHeight);
+            ctx.globalAlpha = 1;
+            if (band.label && to - from > ctx.measureText(band.label).width + 6) {
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+                ctx.textAlign = 'left';
+                ctx.fillText(band.label, from + 3, plot.top + fontSize + 2);
+            }
+        });
+
+        // Grid on the first unit's ticks
+        const gridScale = scales[units[0]];
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+        ctx.lineWidth = 1;
+        if (gridScale) {
+            for (let value = gridScale.min; value <= gridScale.max + gridScale.step / 2; value += gridScale.step) {
+                ctx.beginPath();
+                ctx.moveTo(plot.left, yToPx(value, gridScale));
+                ctx.lineTo(plot.right, yToPx(value, gridScale));
+                ctx.stroke();
+            }
+        }
+
+        const drawLine = (list, definition, scale, color, dash) => {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = definition.width || 2;
+            ctx.setLineDash(dash || definition.dash || []);
+            ctx.beginPath();
+            list.forEach((sample, i) => {
+                const x = xToPx(xOf(sample));
+                const y = yToPx(definition.value(sample), scale);
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.stroke();
+            ctx.setLineDash([]);
+        };
+
+        selected.forEach((key, index) => {
+            const definition = catalogue[key];
+            const scale = scales[definition.unit];
+            if (index === 0) overlays.forEach(overlay => drawLine(overlay.samples, definition, scale, overlay.color, [6, 4]));
+            drawLine(samples, definition, scale, definition.color);
+        });
+        ctx.restore();
+
+        // Axes: x along the bottom, the first unit on the left and the second on the right
+        ctx.fillStyle = '#fff';
+        ctx.textAlign = 'center';
+        const xStep = niceStep(range.max - range.min, Math.max(2, Math.floor(plotWidth / (fontSize * 6))));
+        for (let x = Math.ceil(range.min / xStep) * xStep; x <= range.max; x += xStep) {
+            ctx.fillText(formatChartValue(x), xToPx(x), plot.bottom + fontSize + 2);
+        }
+        const xAxisInfo = CHART_X_AXES[axis];
+        ctx.fillText(`${xAxisInfo.label} (${xAxisInfo.unit})${zoom ? ' - double-click to reset zoom' : ''}`, (plot.left + plot.right) / 2, h - 4);
+
+        units.slice(0, 2).forEach((unit, side) => {
+            const scale = scales[unit];
+            ctx.fillStyle = scale.color;
+            ctx.textAlign = side === 0 ? 'right' : 'left';
+            const x = side === 0 ? plot.left - 4 : plot.right + 4;
+            for (let value = scale.min; value <= scale.max + scale.step / 2; value += scale.step) {
+                ctx.fillText(formatChartValue(value), x, yToPx(value, scale) + fontSize / 3);
+            }
+        });
+
+        if (cursor && samples.length && cursor.x >= plot.left && cursor.x <= plot.right) {
+            drawCrosshair(cursor.x, range, scales, xToPx, yToPx, fontSize);
+        }
+    }
+
+    function drawCrosshair(px, range, scales, xToPx, yToPx, fontSize) {
+        const x = range.min + ((px - plot.left) / (plot.right - plot.left)) * (range.max - range.min);
+        const sample = nearest(samples, x);
+        const sampleX = xToPx(xOf(sample));
+        const xAxisInfo = CHART_X_AXES[axis];
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(sampleX, plot.top);
+        ctx.lineTo(sampleX, plot.bottom);
+        ctx.stroke();
+
+        const lines = [{ text: `${xAxisInfo.label}: ${formatChartValue(xOf(sample))} ${xAxisInfo.unit}`, color: '#fff' }];
+        selected.forEach((key, index) => {
+            const definition = catalogue[key];
+            const value = definition.value(sample);
+            ctx.fillStyle = definition.color;
+            ctx.beginPath();
+            ctx.arc(sampleX, yToPx(value, scales[definition.unit]), 3, 0, Math.PI * 2);
+            ctx.fill();
+            lines.push({ text: `${definition.label}: ${formatChartValue(value)} ${definition.unit}`, color: definition.color });
+            if (index === 0) {
+                overlays.forEach(overlay => {
+                    const last = overlay.samples[overlay.samples.length - 1];
+                    const other = last && x <= xOf(last) ? nearest(overlay.samples, x) : null;
+                    if (other) lines.push({ text: `${overlay.name}: ${formatChartValue(definition.value(other))} ${definition.unit}`, color: overlay.color });
+                });
+            }
+        });
+
+        // Readout box beside the crosshair, flipped to the left near the right edge
+        const lineHeight = fontSize + 3;
+        const boxWidth = Math.max(...lines.map(line => ctx.measureText(line.text).width)) + 12;
+        const boxHeight = lines.length * lineHeight + 6;
+        const boxX = sampleX + 8 + boxWidth > plot.right ? sampleX - 8 - boxWidth : sampleX + 8;
+        const boxY = Math.min(Math.max(plot.top, cursor.y - boxHeight / 2), plot.bottom - boxHeight);
+        ctx.fillStyle = 'rgba(15, 23, 42, 0.9)';
+        ctx.fillRect(boxX, boxY, boxWidth, boxHeight);
+        ctx.textAlign = 'left';
+        lines.forEach((line, i) => {
+            ctx.fillStyle = line.color;
+            ctx.fillText(line.text, boxX + 6, boxY + 3 + (i + 1) * lineHeight - 4);
+        });
+    }
+
+    // Interaction: wheel zooms around the pointer, drag pans, double-click resets
+    canvas.addEventListener('wheel', (e) => {
+        if (!plot) return;
+        e.preventDefault();
+        const range = getRange();
+        const point = toCanvas(e);
+        const ratio = Math.min(Math.max((point.x - plot.left) / (plot.right - plot.left), 0), 1);
+        const center = range.min + ratio * (range.max - range.min);
+        const factor = e.deltaY > 0 ? CHART_ZOOM_STEP : 1 / CHART_ZOOM_STEP;
+        zoom = clampRange(center - (center - range.min) * factor, center + (range.max - center) * factor);
+        draw();
+    }, { passive: false });
+
+    canvas.addEventListener('pointerdown', (e) => {
+        drag = { x: toCanvas(e).x, range: getRange() };
+        if (canvas.setPointerCapture) canvas.setPointerCapture(e.pointerId);
+    });
+    canvas.addEventListener('pointermove', (e) => {
+        cursor = toCanvas(e);
+        if (drag && plot) {
+            const shift = ((cursor.x - drag.x) / (plot.right - plot.left)) * (drag.range.max - drag.range.min);
+            if (shift !== 0) zoom = clampRange(drag.range.min - shift, drag.range.max - shift);
+        }
+        draw();
+    });
+    ['pointerup', 'pointercancel'].forEach(type => canvas.addEventListener(type, () => {
+        drag = null;
+    }));
+    canvas.addEventListener('pointerleave', () => {
+        cursor = null;
+        drag = null;
+        draw();
+    });
+    canvas.addEventListener('dblclick', () => {
+        zoom = null;
+        draw();
+    });
+
+    return {
+        setData(newSamples, options = {}) {
+            samples = newSamples;
+            overlays = options.overlays || [];
+            bands = options.bands || [];
+        },
+        setSeries(keys) {
+            selected = keys.filter(key => catalogue[key]);
+        },
+        getSeries: () => selected.slice(),
+        setXAxis(newAxis) {
+            if (!CHART_X_AXES[newAxis]) return;
+            axis = newAxis;
+            zoom = null;
+        },
+        getXAxis: () => axis,
+        resetZoom() {
+            zoom = null;
+        },
+        draw
+    };
+}
+
+// Node / CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CHART_X_AXES,
+        createChart
+    };
+}
@@ -0,0 +1,146 @@
+// ====================================================================
+// ===== DRIVER CONTROLLERS ===========================================
+// ====================================================================
+// A controller drives the car instead of the keyboard. It is any object with
+//
+//     update(observation, dt) -> { throttle, brake }   each 0..1
+//
+// where observation is { pos, vel, acc, time, terrain, surface, slope, gear, wheelspin,
+// trackLength, terrains }: terrain is the track segment and surface what the tyres are on (a
+// patch, say), and gear is null and wheelspin always false without a gearbox.
+// simulation.step() calls update() before every fixed physics step rather than once per frame,
+// so a controlled run is exactly repeatable - no reaction time, no frame-rate dependence.
+// Under Node:
+//
+//     const { createSimulation, FIXED_DT } = require('./simulation.js');
+//     const { createPidController } = require('./controllers.js');
+//     const sim = createSimulation();
+//     const pid = createPidController({ targetSpeed: 15 });
+//     while (!sim.getState().finished) sim.step(FIXED_DT, pid);
+
+const COAST = { throttle: 0, brake: 0 };
+
+function createFullThrottleController() {
+    return {
+        name: 'Full throttle',
+        update: () => ({ throttle: 1, brake: 0 })
+    };
+}
+
+/**
+ * On/off cruise control: full throttle below the target speed, coasting above it, and full
+ * brakes once a downhill pushes the car more than brakeMargin (m/s) over.
+ */
+function createCruiseController({ targetSpeed = 15, brakeMargin = 2 } = {}) {
+    return {
+        name: `Cruise ${targetSpeed} m/s`,
+        update(obs) {
+            if (obs.vel > targetSpeed + brakeMargin) return { throttle: 0, brake: 1 };
+            return { throttle: obs.vel < targetSpeed ? 1 : 0, brake: 0 };
+        }
+    };
+}
+
+/**
+ * Holds targetSpeed (m/s) with a PID loop on the speed error. Positive output is throttle,
+ * negative output is brake. The integral only accumulates while the output is not saturated,
+ * so a long climb at full throttle does not wind it up.
+ */
+function createPidController({ targetSpeed = 15, kp = 0.5, ki = 0.1, kd = 0.02 } = {}) {
+    let integral = 0;
+    let lastError = null;
+
+    return {
+        name: `PID ${targetSpeed} m/s`,
+        update(obs, dt) {
+            const error = targetSpeed - obs.vel;
+            const derivative = lastError === null ? 0 : (error - lastError) / dt;
+            lastError = error;
+
+            const output = kp * error + ki * integral + kd * derivative;
+            if (Math.abs(output) < 1 || Math.sign(error) !== Math.sign(output)) integral += error * dt;
+
+            return output >= 0
+                ? { throttle: Math.min(output, 1), brake: 0 }
+                : { throttle: 0, brake: Math.min(-output, 1) };
+        }
+    };
+}
+
+/**
+ * Full throttle, except within lookahead metres of the next stretch of surface, where it brakes
+ * down to approachSpeed (m/s) so the car does not hit it flat out ("brake before sand").
+ */
+function createBrakeBeforeController({ surface = 'SAND', approachSpeed = 8, lookahead = 40 } = {}) {
+    return {
+        name: `Brake before ${surface}`,
+        update(obs) {
+            if (obs.surface.name !== surface) {
+                // Patches of the surface count as well as whole segments of it
+                const next = obs.terrains
+                    .reduce((stretches, t) => stretches.concat(t, t.patches || []), [])
+                    .filter(s => s.name === surface && s.start > obs.pos)
+                    .reduce((nearest, s) => (!nearest || s.start < nearest.start ? s : nearest), null);
+                if (next && next.start - obs.pos <= lookahead && obs.vel > approachSpeed) {
+                    return { throttle: 0, brake: 1 };
+                }
+            }
+            return { throttle: 1, brake: 0 };
+        }
+    };
+}
+
+const SCRIPT_ARGUMENTS = ['pos', 'vel', 'terrain', 'slope', 'wheelspin'];
+
+/**
+ * Compiles source as the body of a function of (pos, vel, terrain, slope, wheelspin) - metres,
+ * m/s, the surface name, degrees and whether the drive wheels are spinning - that returns
+ * { throttle, brake } (a bare number is the throttle).
+ * Throws a SyntaxError if the source does not compile. An error while driving is stored in
+ * controller.error and the car coasts from then on.
+ */
+function createScriptController({ source = '' } = {}) {
+    const driver = new Function(...SCRIPT_ARGUMENTS, '"use strict";\n' + source);
+
+    const controller = {
+        name: 'Script',
+        error: null,
+        update(obs) {
+            if (controller.error) return COAST;
+            try {
+                const result = driver(obs.pos, obs.vel, obs.surface.name, obs.slope, obs.wheelspin);
+                if (typeof result === 'number') return { throttle: result, brake: 0 };
+                if (!result || typeof result !== 'object') {
+                    throw new TypeError(`expected { throttle, brake } to be returned, got ${String(result)}`);
+                }
+                return result;
+            } catch (err) {
+                controller.error = err.message;
+                return COAST;
+            }
+        }
+    };
+    return controller;
+}
+
+// CONTROLLER TYPES - what the driver menu offers; create(options) takes the menu's settings
+const CONTROLLER_TYPES = {
+    'full-throttle': { name: 'Full throttle', create: createFullThrottleController },
+    cruise: { name: 'Cruise control', create: createCruiseController },
+    pid: { name: 'PID speed hold', create: createPidController },
+    'brake-before': { name: 'Brake before surface', create: createBrakeBeforeController },
+    script: { name: 'Script', create: createScriptController }
+};
+
+// Node / CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CONTROLLER_TYPES,
+        SCRIPT_ARGUMENTS,
+        createFullThrottleController,
+        createCruiseController,
+        createPidController,
+        createBrakeBeforeController,
+        createScriptController
+    };
+}
@@ -0,0 +1,252 @@
+// ====================================================================
+// ===== EXPERIMENTS (v1) =============================================
+// ====================================================================
+// An experiment is a prediction-then-run lab: the student sees a scenario, predicts one outcome,
+// watches the run and gets a score and an explanation. Teachers author them as JSON:
+//
+// {
+//   "format": "surface-matters-experiment",  required, always this string
+//   "version": 1,                            required, format version
+//   "title": "Stopping on ice",              required, shown in the menu
+//   "description": "...",                   optional, the scenario as the student reads it
+//   "predict": "stopPosition",               required: finishTime, maxSpeed or stopPosition
+//   "question": "Where will the car stop?",  optional; defaults to one for the prediction
+//   "tolerance": 0.1,                        optional relative error that still scores 100 (default 0.1)
+//   "driver": {                              optional; default { "type": "manual" }
+//     "type": "script",                      manual or a key of CONTROLLER_TYPES
+//     "source": "return pos < 100 ? 1 : { throttle: 0, brake: 1 };"
+//   },                                       other keys are the controller's options
+//   "track": { ... },                        required, a whole track file (see track-format.js)
+//   "explanation": "..."                     optional, shown with the score
+// }
+
+const experimentCore = (globalThis.importShared || require('./simulation.js').importShared)(
+    ['./simulation.js', './track-format.js', './controllers.js'],
+    () => ({ DEFAULT_SURFACES, CONTROLLER_TYPES, validateTrackDefinition, createScriptController })
+);
+
+const EXPERIMENT_FORMAT_ID = 'surface-matters-experiment';
+const EXPERIMENT_FORMAT_VERSION = 1;
+const EXPERIMENT_DEFAULT_TOLERANCE = 0.1;
+const EXPERIMENT_ZERO_SCORE_FACTOR = 3; // The score falls to 0 at this many times the tolerance
+
+// PREDICTIONS - what a student can be asked to predict, read from the finished run's state
+const PREDICTIONS = {
+    finishTime: {
+        label: 'Finish time',
+        unit: 's',
+        question: 'How long will the car take to reach the finish line?',
+        outcome: state => state.finished ? state.time : null,
+        missing: 'The car never reached the finish.'
+    },
+    maxSpeed: {
+        label: 'Top speed',
+        unit: 'm/s',
+        question: 'What is the fastest the car will go?',
+        outcome: state => state.maxSpeed,
+        missing: ''
+    },
+    stopPosition: {
+        label: 'Stopping position',
+        unit: 'm',
+        question: 'How far from the start will the car come to rest?',
+        outcome: state => state.finished ? null : state.pos,
+        missing: 'The car did not stop before the finish line.'
+    }
+};
+
+// Driver options an experiment may set, by type (see controllers.js)
+const DRIVER_OPTIONS = {
+    targetSpeed: 'number', brakeMargin: 'number', kp: 'number', ki: 'number', kd: 'number',
+    surface: 'string', approachSpeed: 'number', lookahead: 'number', source: 'string'
+};
+
+function validateDriver(driver, errors) {
+    if (driver === undefined) return { type: 'manual', options: {} };
+    if (!driver || typeof driver !== 'object' || Array.isArray(driver)) {
+        errors.push('"driver" must be an object.');
+        return null;
+    }
+
+    const { type, ...options } = driver;
+    const types = ['manual'].concat(Object.keys(experimentCore.CONTROLLER_TYPES));
+    if (!types.includes(type)) {
+        errors.push(`Driver: "type" must be one of ${types.join(', ')} (got ${JSON.stringify(type)}).`);
+        return null;
+    }
+
+    const before = errors.length;
+    Object.keys(options).forEach(key => {
+        if (!DRIVER_OPTIONS[key]) errors.push(`Driver: unknown setting "${key}".`);
+        else if (typeof options[key] !== DRIVER_OPTIONS[key]) errors.push(`Driver: "${key}" must be a ${DRIVER_OPTIONS[key]}.`);
+    });
+    if (type === 'script') {
+        try {
+            experimentCore.createScriptController({ source: options.source || '' });
+        } catch (err) {
+            errors.push(`Driver: the script does not compile - ${err.name}: ${err.message}`);
+        }
+    }
+    return errors.length > before ? null : { type: type, options: options };
+}
+
+/**
+ * Validates parsed experiment JSON. Returns { experiment, errors }: experiment is null unless
+ * errors is empty. knownSurfaces are passed on to the embedded track's validation.
+ */
+function validateExperiment(data, knownSurfaces = experimentCore.DEFAULT_SURFACES) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { experiment: null, errors: ['The file must contain a JSON object.'] };
+    }
+    if (data.format !== EXPERIMENT_FORMAT_ID) {
+        errors.push(`"format" must be "${EXPERIMENT_FORMAT_ID}" - this does not look like an experiment file.`);
+    }
+    if (data.version !== EXPERIMENT_FORMAT_VERSION) {
+        errors.push(`Unsupported experiment file version ${JSON.stringify(data.version)} (this app reads version ${EXPERIMENT_FORMAT_VERSION}).`);
+    }
+    if (errors.length) return { experiment: null, errors };
+
+    if (typeof data.title !== 'string' || !data.title.trim()) errors.push('"title" must be a non-empty string.');
+    if (!PREDICTIONS[data.predict]) {
+        errors.push(`"predict" must be one of ${Object.keys(PREDICTIONS).join(', ')} (got ${JSON.stringify(data.predict)}).`);
+    }
+    const tolerance = data.tolerance === undefined ? EXPERIMENT_DEFAULT_TOLERANCE : data.tolerance;
+    if (typeof tolerance !== 'number' || !isFinite(tolerance) || tolerance <= 0 || tolerance > 1) {
+        errors.push(`"tolerance" must be a number above 0 and at most 1 (got ${JSON.stringify(data.tolerance)}).`);
+    }
+    ['description', 'question', 'explanation'].forEach(key => {
+        if (data[key] !== undefined && typeof data[key] !== 'string') errors.push(`"${key}" must be a string.`);
+    });
+
+    const driver = validateDriver(data.driver, errors);
+
+    let track = null;
+    if (data.track === undefined) {
+        errors.push('"track" is required - embed a whole track file.');
+    } else {
+        const result = experimentCore.validateTrackDefinition(data.track, knownSurfaces);
+        result.errors.forEach(error => errors.push(`Track: ${error}`));
+        track = result.track;
+    }
+
+    if (errors.length) return { experiment: null, errors };
+    return {
+        experiment: {
+            title: data.title.trim(),
+            description: data.description || '',
+            predict: data.predict,
+            question: data.question || PREDICTIONS[data.predict].question,
+            tolerance: tolerance,
+            driver: driver,
+            track: track,
+            explanation: data.explanation || ''
+        },
+        errors: []
+    };
+}
+
+/**
+ * Parses and validates experiment file text. Returns { experiment, errors } like validateExperiment.
+ */
+function parseExperimentFile(text, knownSurfaces = experimentCore.DEFAULT_SURFACES) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        return { experiment: null, errors: [`The file is not valid JSON: ${err.message}`] };
+    }
+    return validateExperiment(data, knownSurfaces);
+}
+
+/**
+ * Compares a prediction with the run's outcome. Within the tolerance (relative error) scores
+ * 100, falling linearly to 0 at EXPERIMENT_ZERO_SCORE_FACTOR times the tolerance. Returns
+ * { predicted, actual, error, score, verdict }; actual and error are null if the outcome never
+ * happened (e.g. predicting the finish time of a car that stalled), which scores 0.
+ */
+function scorePrediction(experiment, prediction, state) {
+    const kind = PREDICTIONS[experiment.predict];
+    const actual = kind.outcome(state);
+    if (actual === null) {
+        return { predicted: prediction, actual: null, error: null, score: 0, verdict: kind.missing };
+    }
+
+    const error = Math.abs(prediction - actual) / Math.max(Math.abs(actual), 1);
+    const tolerance = experiment.tolerance;
+    const score = error <= tolerance
+        ? 100
+        : Math.max(0, Math.round(100 * (1 - (error - tolerance) / ((EXPERIMENT_ZERO_SCORE_FACTOR - 1) * tolerance))));
+    const verdict = score === 100 ? 'Spot on!' : score >= 50 ? 'Close.' : score > 0 ? 'Some way off.' : 'Way off.';
+    return { predicted: prediction, actual: actual, error: error, score: score, verdict: verdict };
+}
+
+// BUILT-IN EXPERIMENTS - in the file format above, so they double as examples for teachers
+const BUILT_IN_EXPERIMENTS = [
+    {
+        format: EXPERIMENT_FORMAT_ID,
+        version: EXPERIMENT_FORMAT_VERSION,
+        title: 'Stopping on ice',
+        description: 'The car accelerates at full throttle for 100 m of flat ice, then slams the brakes on (no ABS).',
+        predict: 'stopPosition',
+        driver: { type: 'script', source: 'return pos < 100 ? 1 : { throttle: 0, brake: 1 };' },
+        track: {
+            format: 'surface-matters-track',
+            version: 1,
+            segments: [{ surface: 'ICE', length: 600 }],
+            physics: { gravity: 9.8, engineForce: 6000, brakeForce: 10000, mass: 1000, maxSpeed: null, abs: false }
+        },
+        explanation: 'Ice can only grip with μs·N ≈ 2 kN, far less than the 10 kN the brakes ask for, so the wheels lock and slide. ' +
+            'The sliding tyres slow the car with kinetic friction μk·N ≈ 1.5 kN, and a little drag and rolling resistance ' +
+            'bring that to about 1.8 m/s². Stopping distance is v²/2a, so it grows with the square of the speed at 100 m.'
+    },
+    {
+        format: EXPERIMENT_FORMAT_ID,
+        version: EXPERIMENT_FORMAT_VERSION,
+        title: 'Ice into sand',
+        description: 'Full throttle over 200 m of ice and then 200 m of sand, with no speed governor.',
+        predict: 'maxSpeed',
+        driver: { type: 'full-throttle' },
+        track: {
+            format: 'surface-matters-track',
+            version: 1,
+            segments: [{ surface: 'ICE', length: 200 }, { surface: 'SAND', length: 200 }],
+            physics: { gravity: 9.8, engineForce: 6000, mass: 1000, maxSpeed: null }
+        },
+        explanation: 'On ice friction takes only about 1.5 kN of the engine\'s 6 kN, so the car keeps accelerating until it reaches ' +
+            'the sand. Sand\'s friction (about 6.9 kN) is more than the engine can push, so from there the car only slows down: ' +
+            'the top speed is the speed at the end of the ice, where v² = 2as.'
+    },
+    {
+        format: EXPERIMENT_FORMAT_ID,
+        version: EXPERIMENT_FORMAT_VERSION,
+        title: 'Wood on the Moon',
+        description: 'Full throttle along 300 m of wood under Moon gravity (1.62 m/s²), with no speed governor.',
+        predict: 'finishTime',
+        driver: { type: 'full-throttle' },
+        track: {
+            format: 'surface-matters-track',
+            version: 1,
+            segments: [{ surface: 'WOOD', length: 300 }],
+            physics: { gravity: 1.62, engineForce: 6000, mass: 1000, maxSpeed: null, airDensity: 0 }
+        },
+        explanation: 'Friction is μ·N and the normal force is m·g, so on the Moon friction is only about a sixth of Earth\'s. ' +
+            'With no air there is no drag either, so the engine\'s 6 kN minus about 0.7 kN of friction and rolling resistance gives ' +
+            'a constant acceleration of about 5.3 m/s², and s = ½at² gives the time as √(2s/a).'
+    }
+];
+
+// Node / CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EXPERIMENT_FORMAT_ID,
+        EXPERIMENT_FORMAT_VERSION,
+        PREDICTIONS,
+        BUILT_IN_EXPERIMENTS,
+        validateDriver,
+        validateExperiment,
+        parseExperimentFile,
+        scorePrediction
+    };
+}
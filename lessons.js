@@ -0,0 +1,445 @@
+// ====================================================================
+// ===== GUIDED LESSONS ===============================================
+// ====================================================================
+// Step-by-step lessons for the education panel. A lesson is plain data:
+//
+//     { id, title, summary, steps: [step, ...] }
+//
+// and each step is
+//
+//     {
+//       title: 'Onto the sand',
+//       text: '<p>...</p>',               HTML shown in the panel
+//       setup: { track, driver },         optional: restart on this track (a track file object,
+//                                         see track-format.js) with this driver (see experiments.js)
+//       highlight: ['frictionValue'],     optional: HUD element ids to draw the eye to
+//       pauseAt: { on: 'enter', surface: 'SAND' },   optional trigger: pause the run when it happens
+//       task: { on: 'stop' }              optional trigger the student must complete to move on
+//     }
+//
+// Triggers are { on, ... } with on one of LESSON_TRIGGERS, or a question:
+//
+//     { on: 'answer', question: '...', choices: ['...', '...'], correct: 1, explain: '...' }
+//
+// Triggers test an observation { pos, vel, time, terrain, slope, brakeMode, weather, stopped,
+// finished, showForces } that the front end builds each frame.
+
+const lessonCore = (globalThis.importShared || require('./simulation.js').importShared)(
+    ['./simulation.js', './track-format.js', './experiments.js'],
+    () => ({ DEFAULT_SURFACES, SURFACE_CONDITIONS, validateTrackDefinition, validateDriver })
+);
+
+// LESSON TRIGGERS - events a step can pause at or ask for: fields, test, and the task wording
+const LESSON_TRIGGERS = {
+    enter: {
+        fields: { surface: 'string' },
+        test: (trigger, obs) => obs.terrain === trigger.surface,
+        describe: trigger => `Drive onto the ${trigger.surface}.`
+    },
+    position: {
+        fields: { at: 'number' },
+        test: (trigger, obs) => obs.pos >= trigger.at,
+        describe: trigger => `Reach ${trigger.at} m.`
+    },
+    speed: {
+        fields: { above: 'number' },
+        test: (trigger, obs) => Math.abs(obs.vel) >= trigger.above,
+        describe: trigger => `Get up to ${trigger.above} m/s.`
+    },
+    time: {
+        fields: { at: 'number' },
+        test: (trigger, obs) => obs.time >= trigger.at,
+        describe: trigger => `Keep going for ${trigger.at} s.`
+    },
+    stop: {
+        fields: {},
+        test: (trigger, obs) => obs.stopped,
+        describe: () => 'Bring the car to a stop.'
+    },
+    finish: {
+        fields: {},
+        test: (trigger, obs) => obs.finished,
+        describe: () => 'Cross the finish line.'
+    },
+    brakeMode: {
+        fields: { mode: 'string' },
+        test: (trigger, obs) => obs.brakeMode === trigger.mode,
+        describe: trigger => ({ locked: 'Brake hard enough to lock the wheels.', abs: 'Brake hard with ABS working.' })[trigger.mode] ||
+            `Brake until the brakes read "${trigger.mode}".`
+    },
+    weather: {
+        fields: { weather: 'string' },
+        test: (trigger, obs) => obs.weather === trigger.weather,
+        describe: trigger => `Switch the weather to ${(lessonCore.SURFACE_CONDITIONS[trigger.weather] || {}).name || trigger.weather}.`
+    },
+    forces: {
+        fields: {},
+        test: (trigger, obs) => obs.showForces,
+        describe: () => 'Show the forces on the car (F).'
+    }
+};
+
+function validateTrigger(trigger, label, surfaces, errors) {
+    if (!trigger || typeof trigger !== 'object') {
+        errors.push(`${label} must be an object with "on".`);
+        return;
+    }
+    if (trigger.on === 'answer') {
+        if (typeof trigger.question !== 'string') errors.push(`${label}: "question" must be a string.`);
+        if (!Array.isArray(trigger.choices) || trigger.choices.length < 2 || trigger.choices.some(choice => typeof choice !== 'string')) {
+            errors.push(`${label}: "choices" must be a list of at least two strings.`);
+        } else if (!Number.isInteger(trigger.correct) || trigger.correct < 0 || trigger.correct >= trigger.choices.length) {
+            errors.push(`${label}: "correct" must be the index of one of the choices.`);
+        }
+        return;
+    }
+    const type = LESSON_TRIGGERS[trigger.on];
+    if (!type) {
+        errors.push(`${label}: "on" must be answer or one of ${Object.keys(LESSON_TRIGGERS).join(', ')} (got ${JSON.stringify(trigger.on)}).`);
+        return;
+    }
+    Object.entries(type.fields).forEach(([key, kind]) => {
+        if (typeof trigger[key] !== kind) errors.push(`${label}: "${key}" must be a ${kind}.`);
+    });
+    if (trigger.on === 'enter' && typeof trigger.surface === 'string' && !surfaces.some(s => s.name === trigger.surface)) {
+        const names = surfaces.map(s => s.name).join(', ');
+        errors.push(`${label}: unknown surface ${JSON.stringify(trigger.surface)} (known surfaces: ${names}).`);
+    }
+}
+
+/**
+ * Validates a lesson. Returns { lesson, errors }: lesson is null unless errors is empty, and has
+ * each step's setup track validated (see validateTrackDefinition) and driver filled in. An "enter"
+ * trigger must name a surface of the track the step runs on: its own setup's, else the last one's.
+ */
+function validateLesson(data, knownSurfaces = lessonCore.DEFAULT_SURFACES) {
+    const errors = [];
+    if (!data || typeof data !== 'object') return { lesson: null, errors: ['A lesson must be an object.'] };
+
+    const name = typeof data.title === 'string' && data.title ? `Lesson "${data.title}"` : 'Lesson';
+    if (typeof data.id !== 'string' || !data.id) errors.push(`${name}: "id" must be a non-empty string.`);
+    if (typeof data.title !== 'string' || !data.title) errors.push(`${name}: "title" must be a non-empty string.`);
+    if (!Array.isArray(data.steps) || data.steps.length === 0) {
+        errors.push(`${name}: "steps" must be a list with at least one step.`);
+        return { lesson: null, errors };
+    }
+
+    let surfaces = knownSurfaces;
+    const steps = data.steps.map((step, i) => {
+        const label = `${name}, step ${i + 1}`;
+        if (!step || typeof step !== 'object') {
+            errors.push(`${label} must be an object.`);
+            return null;
+        }
+        if (typeof step.text !== 'string') errors.push(`${label}: "text" must be a string.`);
+        if (step.highlight !== undefined && (!Array.isArray(step.highlight) || step.highlight.some(id => typeof id !== 'string'))) {
+            errors.push(`${label}: "highlight" must be a list of element ids.`);
+        }
+
+        let setup = null;
+        if (step.setup !== undefined && (!step.setup || typeof step.setup !== 'object')) {
+            errors.push(`${label}: "setup" must be an object with track and driver.`);
+        } else if (step.setup !== undefined) {
+            const result = lessonCore.validateTrackDefinition(step.setup.track, knownSurfaces);
+            result.errors.forEach(error => errors.push(`${label}, setup track: ${error}`));
+            const driver = lessonCore.validateDriver(step.setup.driver, errors);
+            setup = { track: result.track, driver: driver };
+            if (result.track) surfaces = result.track.surfaces;
+        }
+        if (step.pauseAt && step.pauseAt.on === 'answer') errors.push(`${label}: a question cannot pause the run.`);
+        else if (step.pauseAt !== undefined) validateTrigger(step.pauseAt, `${label}, pauseAt`, surfaces, errors);
+        if (step.task !== undefined) validateTrigger(step.task, `${label}, task`, surfaces, errors);
+        return { ...step, title: step.title || '', highlight: step.highlight || [], setup: setup };
+    });
+
+    if (errors.length) return { lesson: null, errors };
+    return { lesson: { id: data.id, title: data.title, summary: data.summary || '', steps: steps }, errors: [] };
+}
+
+/** The task line for a trigger, e.g. "Drive onto the SAND." */
+function describeTrigger(trigger) {
+    return trigger.on === 'answer' ? trigger.question : LESSON_TRIGGERS[trigger.on].describe(trigger);
+}
+
+/**
+ * Walks a validated lesson one step at a time. observe(obs) is called every frame with the
+ * latest observation and returns { pause, completed }: pause is true the moment the step's
+ * pauseAt happens (once per visit), completed the moment its task is done. A step without a task
+ * is complete as soon as it is shown; the student can only go forward from a completed step.
+ */
+function createLessonRunner(lesson) {
+    let index = 0;
+    let paused = false; // This visit's pauseAt has fired
+    let done = false; // This visit's task is complete
+
+    function enter(newIndex) {
+        index = newIndex;
+        paused = false;
+        done = !lesson.steps[index].task;
+    }
+    enter(0);
+
+    return {
+        lesson: lesson,
+        getIndex: () => index,
+        getStep: () => lesson.steps[index],
+        isDone: () => done,
+        isLast: () => index === lesson.steps.length - 1,
+        observe(obs) {
+            const step = lesson.steps[index];
+            const result = { pause: false, completed: false };
+            if (step.pauseAt && !paused && LESSON_TRIGGERS[step.pauseAt.on].test(step.pauseAt, obs)) {
+                paused = true;
+                result.pause = true;
+            }
+            if (!done && step.task.on !== 'answer' && LESSON_TRIGGERS[step.task.on].test(step.task, obs)) {
+                done = true;
+                result.completed = true;
+            }
+            return result;
+        },
+        /** Checks a choice for the step's question; a right answer completes the step. */
+        answer(choice) {
+            const task = lesson.steps[index].task;
+            if (!task || task.on !== 'answer') return false;
+            if (choice === task.correct) done = true;
+            return choice === task.correct;
+        },
+        next() {
+            if (!done || index === lesson.steps.length - 1) return false;
+            enter(index + 1);
+            return true;
+        },
+        back() {
+            if (index === 0) return false;
+            enter(index - 1);
+            return true;
+        }
+    };
+}
+
+// ===== LESSONS =====
+
+const THREE_SURFACE_TRACK = {
+    format: 'surface-matters-track',
+    version: 1,
+    segments: [{ surface: 'ICE', length: 250 }, { surface: 'SAND', length: 250 }, { surface: 'WOOD', length: 250 }]
+};
+
+const LESSONS = [
+    {
+        id: 'friction',
+        title: 'Friction and surfaces',
+        summary: 'Why the same engine feels so different on ice, sand and wood.',
+        steps: [
+            {
+                title: 'What friction is',
+                text: '<p><strong>Friction</strong> is the force that opposes motion between surfaces. The friction ' +
+                    'coefficient (μ) says how much a pair of surfaces resist sliding.</p>' +
+                    '<div class="formula">F<sub>friction</sub> = μ × N, where N = m × g × cos(θ)</div>' +
+                    '<p>The track has been reset to ice, sand and wood. Hold <strong>↑</strong> to drive off and keep an eye ' +
+                    'on μ and the friction force. The run will pause when you reach the sand.</p>',
+                setup: { track: THREE_SURFACE_TRACK },
+                highlight: ['frictionValue', 'frictionForceValue'],
+                pauseAt: { on: 'enter', surface: 'SAND' },
+                task: { on: 'enter', surface: 'SAND' }
+            },
+            {
+                title: 'Onto the sand',
+                text: '<p>μ jumped from 0.15 on ice to 0.70 on sand, and the friction force jumped with it: about ' +
+                    '6.9 kN for a 1000 kg car. The engine gives 6 kN.</p>',
+                highlight: ['frictionForceValue', 'engineForceValue', 'netForceValue'],
+                task: {
+                    on: 'answer',
+                    question: 'What happens to the car on the sand at full throttle?',
+                    choices: ['It keeps speeding up, only more slowly', 'It slows down, because friction beats the engine', 'It stops dead at once'],
+                    correct: 1,
+                    explain: 'ΣF is negative: friction (6.9 kN) is bigger than the engine (6 kN), so the car decelerates even at full throttle.'
+                }
+            },
+            {
+                title: 'Static and kinetic friction',
+                text: '<p><strong>Static vs Kinetic:</strong> a stopped car is held by static friction (μ<sub>s</sub>) until ' +
+                    'something pushes harder than μ<sub>s</sub> × N. Once it moves, the smaller kinetic coefficient ' +
+                    '(μ<sub>k</sub>) takes over. Press <strong>Space</strong> to carry on, then brake to a stop and watch μ change.</p>',
+                highlight: ['frictionValue'],
+                task: { on: 'stop' }
+            },
+            {
+                title: 'Conditions',
+                text: '<p><strong>Conditions:</strong> water, frost or dust between tyre and surface lowers both ' +
+                    'coefficients. The HUD shows the surface\'s own μ and the effective μ after conditions.</p>' +
+                    '<div class="formula">μ<sub>effective</sub> = μ<sub>surface</sub> × weather factor × patch factor</div>' +
+                    '<p>Use the weather control in the bar at the bottom to make it rain.</p>',
+                highlight: ['frictionValue'],
+                task: { on: 'weather', weather: 'wet' }
+            }
+        ]
+    },
+    {
+        id: 'braking',
+        title: 'Braking and grip',
+        summary: 'Locked wheels, ABS and stopping distance on ice.',
+        steps: [
+            {
+                title: 'Get up to speed',
+                text: '<p>This is 500 m of flat ice. Drive up to 20 m/s - the run will pause when you get there.</p>',
+                setup: {
+                    track: {
+                        format: 'surface-matters-track',
+                        version: 1,
+                        segments: [{ surface: 'ICE', length: 500 }],
+                        physics: { abs: false, maxSpeed: null }
+                    }
+                },
+                highlight: ['speedMs'],
+                pauseAt: { on: 'speed', above: 20 },
+                task: { on: 'speed', above: 20 }
+            },
+            {
+                title: 'Brake hard',
+                text: '<p><strong>Braking:</strong> brakes slow the wheels, but only the tyres\' grip slows the car, so the ' +
+                    'braking force can\'t exceed μ<sub>s</sub> × N. Press harder and the wheels lock: the tyres skid at the ' +
+                    'lower μ<sub>k</sub> and you stop later.</p><p>Resume with <strong>Space</strong> and stamp on the brake (↓).</p>',
+                highlight: ['brakeModeValue', 'brakeForceValue'],
+                task: { on: 'brakeMode', mode: 'locked' }
+            },
+            {
+                title: 'Stopping distance',
+                text: '<p>While you brake, the HUD and the red flag show where you will stop. They count every force, so ' +
+                    'drag and rolling resistance as well as the tyres\' grip.</p>' +
+                    '<div class="formula">d<sub>stop</sub> ≈ v² / (2g(μ cos θ + sin θ))</div>' +
+                    '<p>Keep braking until the car stops.</p>',
+                highlight: ['stoppingValue', 'speedMs'],
+                task: { on: 'stop' }
+            },
+            {
+                title: 'Twice the speed',
+                text: '<p>ABS releases and reapplies the brakes to stay just under the grip limit, so the car stops sooner ' +
+                    'and can still steer. Either way the stopping distance depends on speed squared.</p>',
+                task: {
+                    on: 'answer',
+                    question: 'If you had braked at 40 m/s instead of 20 m/s, how much further would you slide?',
+                    choices: ['The same distance', 'Twice as far', 'Four times as far'],
+                    correct: 2,
+                    explain: 'd = v²/2a, so doubling v multiplies the distance by 2² = 4.'
+                }
+            }
+        ]
+    },
+    {
+        id: 'slopes',
+        title: 'Slopes and Newton\'s second law',
+        summary: 'How gravity along a slope adds to the other forces.',
+        steps: [
+            {
+                title: 'See the forces',
+                text: '<p>This wooden track climbs and then drops. Press <strong>F</strong> to draw the forces on the car, ' +
+                    'to scale.</p>',
+                setup: {
+                    track: {
+                        format: 'surface-matters-track',
+                        version: 1,
+                        segments: [{
+                            surface: 'WOOD',
+                            length: 600,
+                            slopes: [{ start: 100, end: 250, angle: 6 }, { start: 350, end: 500, angle: -6 }]
+                        }]
+                    }
+                },
+                task: { on: 'forces' }
+            },
+            {
+                title: 'Uphill',
+                text: '<p><strong>Slope Effects:</strong> uphill, gravity works against you; downhill, it speeds you up. ' +
+                    'mg sin θ always points down the slope, while friction points against the motion.</p>' +
+                    '<div class="formula">F<sub>gravity</sub> = m × g × sin(θ)</div>' +
+                    '<p>Drive onto the climb - the run will pause halfway up.</p>',
+                highlight: ['slopeValue', 'gravityValueDisplay'],
+                pauseAt: { on: 'position', at: 175 },
+                task: { on: 'position', at: 175 }
+            },
+            {
+                title: 'Adding it up',
+                text: '<p><strong>Newton\'s Second Law:</strong> every force along the track is added up, and the car\'s ' +
+                    'acceleration is that net force divided by its mass. Compare ΣF with m × a.</p>' +
+                    '<div class="formula">a = ΣF / m</div>',
+                highlight: ['netForceValue', 'massAccelValue', 'accelValue'],
+                task: {
+                    on: 'answer',
+                    question: 'A 1000 kg car has 6000 N of engine force, 1500 N of friction and 1000 N of gravity pulling it back down a slope. What is its acceleration?',
+                    choices: ['6.0 m/s²', '3.5 m/s²', '8.5 m/s²'],
+                    correct: 1,
+                    explain: 'ΣF = 6000 − 1500 − 1000 = 3500 N, and a = 3500 N / 1000 kg = 3.5 m/s².'
+                }
+            },
+            {
+                title: 'Downhill',
+                text: '<p>Press <strong>Space</strong> and drive over the top. On the way down mg sin θ points forward, so ' +
+                    'the same throttle gives more acceleration. Reach the finish.</p>',
+                highlight: ['gravityValueDisplay', 'accelValue'],
+                task: { on: 'finish' }
+            }
+        ]
+    },
+    {
+        id: 'energy',
+        title: 'Work, energy and drag',
+        summary: 'Where the engine\'s work goes, and why top speed has a limit.',
+        steps: [
+            {
+                title: 'Work & energy',
+                text: '<p><strong>Work & Energy:</strong> every joule the engine puts in ends up somewhere: as kinetic ' +
+                    'energy, as height (potential energy), or as heat from friction, drag, rolling resistance and the ' +
+                    'brakes. The Energy panel adds it all up live; the balance shows how far the total is from the ' +
+                    'engine\'s work.</p>' +
+                    '<div class="formula">W<sub>engine</sub> = ½mv² + mgh + E<sub>friction</sub> + E<sub>drag</sub> + E<sub>rolling</sub> + E<sub>brake</sub></div>' +
+                    '<p>Drive the whole track and watch the energy bar.</p>',
+                setup: { track: THREE_SURFACE_TRACK },
+                highlight: ['engineWorkValue', 'energyBar', 'energyBalanceValue'],
+                task: { on: 'finish' }
+            },
+            {
+                title: 'Drag',
+                text: '<p><strong>Drag & Rolling Resistance:</strong> air drag grows with the square of speed, so without ' +
+                    'a speed governor the car settles at a terminal velocity where the engine can no longer outpush ' +
+                    'drag, friction and rolling resistance.</p>' +
+                    '<div class="formula">F<sub>drag</sub> = ½ × ρ × C<sub>d</sub> × A × v²<br>F<sub>rolling</sub> = C<sub>rr</sub> × N</div>' +
+                    '<p>This is 1.5 km of ice with no governor. Hold full throttle until you pass 50 m/s.</p>',
+                setup: {
+                    track: {
+                        format: 'surface-matters-track',
+                        version: 1,
+                        segments: [{ surface: 'ICE', length: 1500 }],
+                        physics: { maxSpeed: null }
+                    }
+                },
+                highlight: ['dragForceValue', 'speedMs'],
+                task: { on: 'speed', above: 50 }
+            },
+            {
+                title: 'Terminal velocity',
+                text: '<p>Look at how the drag force grew as you sped up.</p>',
+                highlight: ['dragForceValue'],
+                task: {
+                    on: 'answer',
+                    question: 'Drag is about 160 N at 20 m/s. Roughly how big is it at 40 m/s?',
+                    choices: ['320 N', '650 N', '160 N'],
+                    correct: 1,
+                    explain: 'Drag goes with v², so twice the speed gives 2² = 4 times the drag: about 650 N.'
+                }
+            }
+        ]
+    }
+];
+
+// Node / CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LESSON_TRIGGERS,
+        LESSONS,
+        validateLesson,
+        describeTrigger,
+        createLessonRunner
+    };
+}
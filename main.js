@@ -1,49 +1,181 @@
 // ====================================================================
 // ===== GAME STATE & CONSTANTS (Configurable) ========================
 // ====================================================================
-const state = {
-    pos: 0,
-    vel: 0,
-    acc: 0,
-    time: 0,
-    trackLength: 750, // Calculated dynamically
+// The physics lives in simulation.js; this file is its canvas/DOM front end.
+let simulation = null;
+let state = null; // simulation.getState() - the live physics state of the current run
+
+// View-only state that the physics never sees
+const view = {
     paused: false,
-    finished: false,
-    history: [],
-    maxSpeed: 0,
-    cameraOffset: 0
+    cameraOffset: 0,
+    runOver: false, // Results are up: the driven car finished and so has every comparison car
+    showForces: false, // Free-body diagram overlay on the car
+    stopPrediction: null, // simulation.predictStop() while braking (see updateBrakeReadout)
+    stopPredictionMade: null, // { time, inputChanges, brakeMode } when it was made
+    driverChanged: false // The driver was switched mid-run, so the run is left off the leaderboard
 };
 
 const keys = { up: false, down: false };
 
-// PHYSICS CONSTANTS - Declared with 'let' for dynamic updating from the menu
-let GRAVITY = 9.8;
-let ENGINE_ACC = 6;
-const BRAKE_ACC = -10;
-let MAX_SPEED = 50;
-let CAR_MASS = 1000; // kg
-
-// Base Slope Profile (used for proportional scaling)
-const BASE_SLOPES = {
-    ICE: [
-        { angle: 0, length: 50 }, { angle: -5, length: 50 }, { angle: -7, length: 50 },
-        { angle: 3, length: 50 }, { angle: 8, length: 50 }
-    ],
-    SAND: [
-        { angle: 4, length: 50 }, { angle: 9, length: 50 }, { angle: 0, length: 50 },
-        { angle: -6, length: 50 }, { angle: 5, length: 50 }
-    ],
-    WOOD: [
-        { angle: -3, length: 50 }, { angle: -8, length: 50 }, { angle: 6, length: 50 },
-        { angle: 10, length: 50 }, { angle: 2, length: 50 }
-    ]
+// PEDALS - Analog 0..1 positions from each manual input. Keys ramp up and spring back;
+// gamepad triggers and the on-screen sliders set their pedal directly.
+const PEDAL_RAMP_UP = 2.5; // per second: a held key reaches full pedal in 0.4 s
+const PEDAL_RAMP_DOWN = 4; // per second: a released key lets go in 0.25 s
+const GAMEPAD_DEADZONE = 0.05;
+const pedals = {
+    key: { throttle: 0, brake: 0 },
+    gamepad: { throttle: 0, brake: 0 },
+    slider: { throttle: 0, brake: 0 },
+    gamepadId: null // The connected gamepad, if any
+};
+
+// DRIVER - Whoever presses the pedals: a person (keys, gamepad, sliders), or a controller from controllers.js
+const manualController = {
+    name: 'Manual',
+    update(obs, dt) {
+        pedals.key.throttle = rampPedal(pedals.key.throttle, keys.up, dt);
+        pedals.key.brake = rampPedal(pedals.key.brake, keys.down, dt);
+        // Whichever input presses a pedal furthest wins
+        return {
+            throttle: Math.max(pedals.key.throttle, pedals.gamepad.throttle, pedals.slider.throttle),
+            brake: Math.max(pedals.key.brake, pedals.gamepad.brake, pedals.slider.brake)
+        };
+    }
+};
+let controllerType = 'manual'; // 'manual' or a key of CONTROLLER_TYPES
+let controller = manualController;
+
+// GHOST REPLAY - Completed runs from this session, and the one currently raced against
+const runArchive = [];
+let ghostRun = null;
+
+// RUN HISTORY - Completed runs from every session, saved in localStorage (see run-history.js)
+const runHistory = createRunHistory(getBrowserStorage());
+let lastHistoryEntry = null; // { run, previousBest } for the run on the results screen, { unranked } if not saved, or null
+let historyReturnScreen = 'mainMenu'; // Screen the history view closes back to
+
+// PHYSICS CONFIGURATION - Filled in from the menu and handed to createSimulation
+const physicsConfig = { ...DEFAULT_CONFIG };
+
+// PRESET LIBRARY - Built-in planet and vehicle presets and user-saved ones, saved in localStorage
+// (see preset-library.js); comparison cars can borrow a preset's gravity
+const presetLibrary = createPresetLibrary(getBrowserStorage());
+let renamingPresetName = null; // User preset whose name is being edited in the list, or null
+
+// COMPARISON - Extra cars raced alongside the driven one (Car 1, which uses the menu settings).
+// Each setup changes only what it sets: surface ('' = the track as built), muScale, mass (null =
+// menu value) and gravity (the name of a preset that sets gravity, or '' for the menu value).
+// rivals are their live runs.
+const CAR_COLORS = ['#ef4444', '#3b82f6', '#22c55e', '#a855f7', '#f97316', '#eab308'];
+const MAX_COMPARISON_CARS = CAR_COLORS.length - 1;
+const RIVAL_IDLE_LIMIT = 5; // s a stopped comparison car may sit before the results stop waiting for it
+let comparisonEnabled = false;
+let comparisonLayout = 'lanes'; // 'lanes' (one strip per car) or 'overlay' (all on the main track)
+let comparisonCars = [{ name: 'Moon car', surface: '', muScale: 1, mass: null, gravity: 'Moon' }];
+let rivals = []; // { name, setup, color, simulation, state, controller, idle }
+
+// EXPERIMENTS - predict-then-run labs (see experiments.js): the built-in ones plus any loaded from
+// files, and the run in progress, { experiment, prediction, idle }, from locking in a prediction
+// until back at the menu
+const EXPERIMENT_REST_TIME = 1; // s the car must sit still to end a stopping-position experiment
+const experiments = BUILT_IN_EXPERIMENTS.map(data => validateExperiment(data).experiment);
+let experimentRun = null;
+
+// SCENARIO DRIVER - the driver settings an experiment or lesson step set up ({ type, options },
+// see validateDriver), which win over the menu's while that driver type is selected
+let scenarioDriver = null;
+
+// LESSONS - the guided lessons in the education panel (see lessons.js) and the one in progress
+const lessons = LESSONS.map(data => {
+    const { lesson, errors } = validateLesson(data);
+    if (!lesson) console.error(`Skipping lesson "${data.title}":`, errors);
+    return lesson;
+}).filter(Boolean);
+let lessonRunner = null;
+
+// CONDITIONS - Patches edited in the menu; the live weather and patches are physicsConfig.conditions
+let conditionPatches = [];
+
+// SURFACE LIBRARY - Built-in and user-defined surfaces, saved in localStorage (see surface-library.js)
+const surfaceLibrary = createSurfaceLibrary(getBrowserStorage());
+let editingSurfaceName = null; // Library entry open in the surface form, or null for a new surface
+
+// TERRAIN DEFINITIONS - Rebuilt with calculated start/end points by updateTerrainStructure
+let terrains = buildTerrains([250, 250, 250]);
+
+// TRACK EDITOR - Surfaces the editor can place (the library plus any a loaded track file defines),
+// and the custom track's segments in driving order (see buildTrack)
+let trackFileSurfaces = [];
+let trackSurfaces = surfaceLibrary.getAll();
+let customSegments = DEFAULT_SURFACES.map(surface => ({
+    surface: surface.name,
+    length: 250,
+    slopes: BASE_SLOPES[surface.name].map(slope => ({ ...slope }))
+}));
+
+// SURFACE PATCHES - Spots of another surface on either track, { surface, start, end } in metres from
+// the start line; built in along with the menu's transition (see getTrackLayout)
+let surfacePatches = [];
+
+// ENERGY PARTS - where the engine's work (plus any height given up) goes: state.energy for the
+// first two, state.losses for the rest. Drives the HUD bar and the results energy graph.
+const ENERGY_PARTS = [
+    { key: 'kinetic', label: 'Kinetic ½mv²', color: '#4ade80' },
+    { key: 'potential', label: 'Potential mgh', color: '#22d3ee' },
+    { key: 'friction', label: 'Friction heat', color: '#f59e0b' },
+    { key: 'drag', label: 'Drag', color: '#60a5fa' },
+    { key: 'rolling', label: 'Rolling', color: '#c084fc' },
+    { key: 'brake', label: 'Brake heat', color: '#ef4444' },
+    { key: 'limits', label: 'Governor & wall', color: '#94a3b8' }
+];
+
+// CHART SERIES - everything the graphs can plot from a history sample (see charts.js). Forces
+// and energies are generated from FORCE_KEYS and ENERGY_PARTS.
+const FORCE_CHART_COLORS = {
+    engine: '#22c55e', brake: '#ef4444', normal: '#a3e635', friction: '#fb923c',
+    gravity: '#eab308', drag: '#60a5fa', rolling: '#c084fc', net: '#f8fafc'
+};
+const CHART_SERIES = {
+    vel: { label: 'Speed', unit: 'm/s', color: '#4ade80', value: p => p.vel, width: 3 },
+    pos: { label: 'Position', unit: 'm', color: '#93c5fd', value: p => p.pos },
+    acc: { label: 'Acceleration', unit: 'm/s²', color: '#f472b6', value: p => p.acc },
+    mu: { label: 'μ', unit: 'μ', color: '#f59e0b', value: p => p.mu },
+    slope: { label: 'Slope', unit: '°', color: '#facc15', value: p => p.slope },
+    height: { label: 'Height', unit: 'm', color: '#22d3ee', value: p => elevationAt(terrains, p.pos) },
+    throttle: { label: 'Throttle', unit: '%', color: '#86efac', value: p => p.throttle * 100 },
+    brake: { label: 'Brake', unit: '%', color: '#fca5a5', value: p => p.brake * 100 },
+    // Drivetrain, 0 throughout for a car without a gearbox
+    rpm: { label: 'Engine rpm', unit: 'rpm', color: '#fda4af', value: p => p.rpm || 0 },
+    gear: { label: 'Gear', unit: 'gear', color: '#e879f9', value: p => p.gear || 0 }
+};
+FORCE_KEYS.forEach(key => {
+    CHART_SERIES[`F_${key}`] = { label: `F ${key}`, unit: 'N', color: FORCE_CHART_COLORS[key], value: p => p.forces[key] };
+});
+CHART_SERIES.W_engine = { label: 'Engine work', unit: 'kJ', color: '#fff', value: p => p.energy.engine / 1000, width: 4 };
+ENERGY_PARTS.forEach(part => {
+    CHART_SERIES[`E_${part.key}`] = { label: part.label, unit: 'kJ', color: part.color, value: p => getEnergyPart(part.key, p.energy, p.losses) / 1000 };
+});
+CHART_SERIES.E_sum = {
+    label: 'Sum of parts',
+    unit: 'kJ',
+    color: '#f472b6',
+    dash: [6, 4],
+    value: p => ENERGY_PARTS.reduce((sum, part) => sum + getEnergyPart(part.key, p.energy, p.losses), 0) / 1000
 };
 
-// TERRAIN DEFINITIONS - Will be updated with calculated start/end points
-let terrains = [
-    { name: 'ICE', emoji: '🧊', length: 250, baseMu: 0.15, color: '#a5f3fc', darkColor: '#06b6d4', slopes: [] },
-    { name: 'SAND', emoji: '🏖️', length: 250, baseMu: 0.70, color: '#fde047', darkColor: '#eab308', slopes: [] },
-    { name: 'WOOD', emoji: '🪵', length: 250, baseMu: 0.40, color: '#d97706', darkColor: '#92400e', slopes: [] }
+// FREE-BODY DIAGRAM - one arrow per force. Along-track forces sit side by side, offset (px)
+// perpendicular to the track so they don't hide each other; weight and normal go through the centre.
+const FBD_WEIGHT_LENGTH = 80; // px for the weight mg; every other arrow uses the same N-to-px scale
+const FBD_MAX_LENGTH = 200; // px, so a huge force (e.g. a very powerful engine) stays on screen
+const FBD_ALONG_FORCES = [
+    { key: 'net', label: 'ΣF', color: '#fff', offset: 0, width: 4 },
+    { key: 'engine', label: 'Engine', color: '#4ade80', offset: 12 },
+    { key: 'brake', label: 'Brake', color: '#ef4444', offset: 12 },
+    { key: 'drag', label: 'Drag', color: '#60a5fa', offset: 24 },
+    { key: 'gravity', label: 'mg sin θ', color: '#facc15', offset: 36, dash: [5, 4] },
+    { key: 'friction', label: 'Friction', color: '#f59e0b', offset: -12 },
+    { key: 'rolling', label: 'Rolling', color: '#c084fc', offset: -24 }
 ];
 
 // ===== CANVAS & CONTEXT (Defensive lookup) =====
@@ -55,12 +187,28 @@ const speedCanvas = document.getElementById('speedCanvas');
 const speedCx = speedCanvas ? speedCanvas.getContext('2d') : null;
 const graphCanvas = document.getElementById('graphCanvas');
 const graphCx = graphCanvas ? graphCanvas.getContext('2d') : null;
-const gravityValueDisplay = document.getElementById('gravityValueDisplay');
 
 if (!skyCx || !gameCx || !speedCx || !graphCx) {
     console.error("Critical Error: One or more canvas elements or their contexts were not found. Ensure all canvas IDs (skyCanvas, gameCanvas, speedCanvas, graphCanvas) are correct in index.html.");
 }
 
+// CHARTS - the live graph follows the last 10 s / 100 m until zoomed; the results graphs show the whole run.
+// The live and performance graphs have series and x-axis pickers (see renderChartPicker).
+const liveChart = graphCanvas ? createChart(graphCanvas, {
+    catalogue: CHART_SERIES,
+    series: ['vel', 'mu', 'acc'],
+    follow: { time: 10, distance: 100 }
+}) : null;
+const resultsChart = document.getElementById('resultsGraph') ? createChart(document.getElementById('resultsGraph'), {
+    catalogue: CHART_SERIES,
+    series: ['vel', 'throttle', 'brake'],
+    xAxis: 'distance'
+}) : null;
+const energyChart = document.getElementById('energyGraph') ? createChart(document.getElementById('energyGraph'), {
+    catalogue: CHART_SERIES,
+    series: ['W_engine', 'E_sum'].concat(ENERGY_PARTS.map(part => `E_${part.key}`))
+}) : null;
+
 // ===== CLOUD & PARTICLE SYSTEMS =====
 const clouds = [];
 for (let i = 0; i < 15; i++) {
@@ -73,6 +221,25 @@ for (let i = 0; i < 15; i++) {
 }
 const particles = [];
 
+// Rain drops / snowflakes, recycled as they leave the screen
+const precipitation = [];
+for (let i = 0; i < 150; i++) {
+    precipitation.push({
+        x: Math.random() * 2000,
+        y: Math.random() * 1000,
+        speed: 0.7 + Math.random() * 0.6
+    });
+}
+
+// CONDITION VISUALS - sky and track styling for each entry in SURFACE_CONDITIONS
+const CONDITION_VISUALS = {
+    dry: { sky: ['#87CEEB', '#E0F6FF', '#B0E0E6'], sun: true, cloud: 'rgba(255, 255, 255, 0.8)' },
+    wet: { sky: ['#475569', '#94a3b8', '#cbd5e1'], sun: false, cloud: 'rgba(100, 116, 139, 0.9)', precipitation: 'rain', sheen: 'rgba(255, 255, 255, 0.45)' },
+    frozen: { sky: ['#94a3b8', '#e2e8f0', '#f8fafc'], sun: false, cloud: 'rgba(241, 245, 249, 0.9)', precipitation: 'snow', sheen: 'rgba(224, 242, 254, 0.8)' },
+    dusty: { sky: ['#c8a97e', '#e7d3b0', '#f0e2c8'], sun: true, cloud: 'rgba(231, 211, 176, 0.7)', sheen: 'rgba(180, 140, 80, 0.5)' },
+    puddle: { sheen: 'rgba(59, 130, 246, 0.7)' }
+};
+
 function createParticles(x, y, color, count = 5) {
     if (!gameCx) return;
     for (let i = 0; i < count; i++) {
@@ -98,255 +265,1785 @@ function resizeCanvas() {
 window.addEventListener('resize', resizeCanvas);
 
 /**
- * Reads and validates a numeric input field, clamping to a minimum value.
+ * Reads and validates a numeric input field, clamping to a minimum value.
+ */
+function getValidatedInput(id, minVal, defaultVal) {
+    const inputEl = document.getElementById(id);
+    if (!inputEl) return defaultVal;
+
+    let value = parseFloat(inputEl.value);
+
+    if (isNaN(value) || value < minVal) {
+        inputEl.value = minVal > 0 ? minVal.toFixed(2) : defaultVal.toFixed(2);
+        return minVal > 0 ? minVal : defaultVal;
+    }
+
+    return value;
+}
+
+/**
+ * A physics input held to the range a track file may set it to (TRACK_PHYSICS_FIELDS), so a
+ * file's physics runs exactly as it declares them.
+ */
+function getPhysicsInput(id, key, defaultVal) {
+    const [minVal, maxVal] = TRACK_PHYSICS_FIELDS[key];
+    const value = getValidatedInput(id, minVal, defaultVal);
+    if (maxVal === null || value <= maxVal) return value;
+    document.getElementById(id).value = maxVal;
+    return maxVal;
+}
+
+function updatePhysicsConstants() {
+    physicsConfig.gravity = getPhysicsInput('gravityValue', 'gravity', 9.8);
+    physicsConfig.engineForce = getPhysicsInput('engineForce', 'engineForce', 6000);
+    physicsConfig.brakeForce = getPhysicsInput('brakeForce', 'brakeForce', 10000);
+    physicsConfig.mass = getPhysicsInput('carMass', 'mass', 1000);
+    physicsConfig.dragCoefficient = getPhysicsInput('dragCoefficient', 'dragCoefficient', 0.30);
+    physicsConfig.frontalArea = getPhysicsInput('frontalArea', 'frontalArea', 2.2);
+    physicsConfig.rollingResistance = getPhysicsInput('rollingResistance', 'rollingResistance', 0.015);
+    
+    const governorToggle = document.getElementById('governorToggle');
+    const governorOn = governorToggle ? governorToggle.checked : true;
+    physicsConfig.maxSpeed = governorOn ? getPhysicsInput('maxSpeed', 'maxSpeed', 50) : null;
+    
+    const absToggle = document.getElementById('absToggle');
+    physicsConfig.abs = absToggle ? absToggle.checked : false;
+    
+    const integratorSelect = document.getElementById('integratorSelect');
+    physicsConfig.integrator = integratorSelect && INTEGRATORS.includes(integratorSelect.value) ? integratorSelect.value : 'semi-implicit';
+    
+    const gearboxSelect = document.getElementById('gearboxSelect');
+    physicsConfig.gearbox = gearboxSelect && GEARBOXES.includes(gearboxSelect.value) ? gearboxSelect.value : null;
+    
+    const weatherSelect = document.getElementById('weatherSelect');
+    physicsConfig.conditions = {
+        weather: weatherSelect && SURFACE_CONDITIONS[weatherSelect.value] ? weatherSelect.value : physicsConfig.conditions.weather,
+        patches: conditionPatches.map(patch => ({ ...patch }))
+    };
+}
+
+function updateGovernorInput() {
+    const governorToggle = document.getElementById('governorToggle');
+    const maxSpeedInput = document.getElementById('maxSpeed');
+    if (governorToggle && maxSpeedInput) maxSpeedInput.disabled = !governorToggle.checked;
+}
+
+function updateTrackInputVisibility() {
+    const customToggle = document.getElementById('customTrackToggle');
+    const isCustom = customToggle ? customToggle.checked : false;
+    
+    const equalToggleWrapper = document.querySelector('.equal-length-toggle:not(.governor-toggle)');
+    const trackConfig = document.getElementById('trackConfig');
+    const trackEditor = document.getElementById('trackEditor');
+    if (equalToggleWrapper) equalToggleWrapper.style.display = isCustom ? 'none' : 'block';
+    if (trackConfig) trackConfig.style.display = isCustom ? 'none' : 'grid';
+    if (trackEditor) trackEditor.style.display = isCustom ? 'block' : 'none';
+    if (isCustom) {
+        renderTrackEditor();
+        return;
+    }
+    
+    const equalToggle = document.getElementById('equalLengthToggle');
+    if (!equalToggle) return;
+
+    const isTotalLength = equalToggle.checked;
+    
+    // Defensive check for input containers
+    const iceLengthDiv = document.getElementById('iceLength');
+    const sandLengthDiv = document.getElementById('sandLength');
+    const woodLengthDiv = document.getElementById('woodLength');
+    const totalTrackDiv = document.getElementById('totalTrackLength'); // Assuming this is the input container's parent or the input itself
+
+    if (iceLengthDiv) iceLengthDiv.style.display = isTotalLength ? 'none' : 'flex';
+    if (sandLengthDiv) sandLengthDiv.style.display = isTotalLength ? 'none' : 'flex';
+    if (woodLengthDiv) woodLengthDiv.style.display = isTotalLength ? 'none' : 'flex';
+
+    // The totalTrackLength input is contained in a wrapper (e.g., div.input-group)
+    if (totalTrackDiv && totalTrackDiv.parentElement) {
+        totalTrackDiv.parentElement.style.display = isTotalLength ? 'flex' : 'none';
+    }
+}
+
+function updateTerrainStructure() {
+    const customToggle = document.getElementById('customTrackToggle');
+    if (customToggle && customToggle.checked) {
+        terrains = buildTrack(customSegments, trackSurfaces, getTrackLayout());
+        return;
+    }
+    
+    const equalToggle = document.getElementById('equalLengthToggle');
+    const isTotalLength = equalToggle ? equalToggle.checked : false; // Default to false if missing
+
+    let lengthIce, lengthSand, lengthWood;
+    const minSegmentLength = 50;
+
+    if (isTotalLength) {
+        const totalLength = getValidatedInput('totalTrackLength', 300, 750);
+        const equalLength = Math.max(minSegmentLength, Math.floor(totalLength / 3));
+        lengthIce = lengthSand = lengthWood = equalLength;
+    } else {
+        lengthIce = getValidatedInput('iceLengthInput', minSegmentLength, 250);
+        lengthSand = getValidatedInput('sandLengthInput', minSegmentLength, 250);
+        lengthWood = getValidatedInput('woodLengthInput', minSegmentLength, 250);
+    }
+
+    // The classic layout still picks up any edits made to its surfaces in the library
+    terrains = buildTerrains([lengthIce, lengthSand, lengthWood], DEFAULT_SURFACES.map(surface => surfaceLibrary.get(surface.name)), getTrackLayout());
+}
+
+// ===== SURFACE PATCHES & TRANSITIONS =====
+
+/**
+ * The menu's surface patches and transition in the form buildTrack takes. Patches on surfaces
+ * that no longer exist are left out.
+ */
+function getTrackLayout() {
+    const shapeSelect = document.getElementById('transitionShape');
+    const shape = shapeSelect && SURFACE_TRANSITIONS[shapeSelect.value] ? shapeSelect.value : null;
+    return {
+        patches: surfacePatches
+            .map(patch => ({ surface: trackSurfaces.find(s => s.name === patch.surface), start: patch.start, end: patch.end }))
+            .filter(patch => patch.surface),
+        transition: shape ? { length: Math.min(TRACK_LIMITS.maxTransitionLength, getValidatedInput('transitionLength', 1, 10)), shape: shape } : null
+    };
+}
+
+/** Writes a transition ({ length, shape }, or null for instant changes) into the menu. */
+function setMenuTransition(transition) {
+    const shapeSelect = document.getElementById('transitionShape');
+    if (shapeSelect) shapeSelect.value = transition ? transition.shape : 'none';
+    if (transition && document.getElementById('transitionLength')) document.getElementById('transitionLength').value = transition.length;
+}
+
+function renderSurfacePatchEditor() {
+    const list = document.getElementById('surfacePatchList');
+    if (!list) return;
+    
+    const surfaceOptions = trackSurfaces
+        .map(surface => `<option value="${escapeHtml(surface.name)}">${escapeHtml(surface.emoji)} ${escapeHtml(surface.name)}</option>`)
+        .join('');
+    
+    list.innerHTML = '';
+    surfacePatches.forEach((patch, index) => {
+        const row = document.createElement('div');
+        row.className = 'segment-row patch-row';
+        row.dataset.index = String(index);
+        row.innerHTML = `
+            <span class="segment-number">${index + 1}</span>
+            <select data-field="surface">${surfaceOptions}</select>
+            <input type="number" data-field="start" min="0" step="5" value="${patch.start}" title="Start (m from the start line)">
+            <input type="number" data-field="end" min="1" step="5" value="${patch.end}" title="End (m from the start line)">
+            <button class="segment-btn" data-action="remove" title="Remove patch">✕</button>
+        `;
+        row.querySelector('select').value = patch.surface;
+        list.appendChild(row);
+    });
+}
+
+function handleSurfacePatchInput(e) {
+    const row = e.target.closest('.patch-row');
+    if (!row) return;
+    const patch = surfacePatches[parseInt(row.dataset.index, 10)];
+    const field = e.target.dataset.field;
+    
+    if (field === 'surface') {
+        patch.surface = e.target.value;
+    } else if (field === 'start' || field === 'end') {
+        const value = parseFloat(e.target.value);
+        if (!isNaN(value)) patch[field] = Math.max(0, value);
+        // Keep every patch at least 1 m long
+        if (patch.end <= patch.start) {
+            if (field === 'start') patch.end = patch.start + 1;
+            else patch.start = Math.max(0, patch.end - 1);
+        }
+        if (e.type === 'change') renderSurfacePatchEditor();
+    }
+}
+
+function handleSurfacePatchAction(e) {
+    const button = e.target.closest('.segment-btn');
+    const row = e.target.closest('.patch-row');
+    if (!button || !row) return;
+    
+    surfacePatches.splice(parseInt(row.dataset.index, 10), 1);
+    renderSurfacePatchEditor();
+}
+
+function addSurfacePatch() {
+    const last = surfacePatches[surfacePatches.length - 1];
+    const start = last ? last.end + 50 : 600;
+    const ice = trackSurfaces.find(surface => surface.name === 'ICE') || trackSurfaces[0];
+    surfacePatches.push({ surface: ice.name, start: start, end: start + 15 });
+    renderSurfacePatchEditor();
+}
+
+// ===== TRACK EDITOR =====
+
+const MIN_SEGMENT_LENGTH = 10; // m
+const MAX_SEGMENT_LENGTH = 2000; // m
+
+/**
+ * Parses a comma/space separated list of slope angles into slope pieces. A piece written as
+ * angle@metres keeps that length; the others share what is left of the segment evenly.
+ */
+function parseSlopeList(text, segmentLength) {
+    const limit = TRACK_LIMITS.maxSlopeAngle;
+    const pieces = text
+        .replace(/\s*@\s*/g, '@')
+        .split(/[\s,;]+/)
+        .map(item => item.split('@').map(parseFloat))
+        .filter(([angle]) => !isNaN(angle))
+        .map(([angle, length]) => ({ angle: Math.max(-limit, Math.min(limit, angle)), length: length > 0 ? length : null }));
+    const fixed = pieces.reduce((sum, piece) => sum + (piece.length || 0), 0);
+    const free = pieces.filter(piece => piece.length === null).length;
+    const share = fixed < segmentLength ? (segmentLength - fixed) / free : segmentLength / pieces.length;
+    pieces.forEach(piece => {
+        if (piece.length === null) piece.length = share;
+    });
+    return pieces;
+}
+
+/** The slope list as parseSlopeList reads it, with lengths only when the pieces differ. */
+function formatSlopeList(slopes, segmentLength) {
+    const total = slopes.reduce((sum, slope) => sum + slope.length, 0);
+    const even = slopes.every(slope => Math.abs(slope.length - slopes[0].length) < 1e-9);
+    return slopes
+        .map(slope => even ? String(slope.angle) : `${slope.angle}@${Number((slope.length / total * segmentLength).toFixed(2))}`)
+        .join(', ');
+}
+
+function renderTrackEditor() {
+    const list = document.getElementById('segmentList');
+    if (!list) return;
+    
+    const surfaceOptions = trackSurfaces
+        .map(surface => `<option value="${escapeHtml(surface.name)}">${escapeHtml(surface.emoji)} ${escapeHtml(surface.name)}</option>`)
+        .join('');
+    
+    list.innerHTML = '';
+    customSegments.forEach((segment, index) => {
+        const row = document.createElement('div');
+        row.className = 'segment-row';
+        row.dataset.index = String(index);
+        row.innerHTML = `
+            <span class="segment-number">${index + 1}</span>
+            <select class="segment-surface" data-field="surface">${surfaceOptions}</select>
+            <input type="number" class="segment-length" data-field="length" min="${MIN_SEGMENT_LENGTH}" max="${MAX_SEGMENT_LENGTH}" step="10" value="${segment.length}" title="Length (m)">
+            <input type="text" class="segment-slopes" data-field="slopes" value="${formatSlopeList(segment.slopes, segment.length)}" placeholder="Slopes (°), e.g. 0, -5, 8" title="Slope angles in degrees, spread evenly over the segment; write angle@metres to give one its own length, e.g. 0@40, -8, 0@20">
+            <button class="segment-btn" data-action="up" title="Move earlier" ${index === 0 ? 'disabled' : ''}>▲</button>
+            <button class="segment-btn" data-action="down" title="Move later" ${index === customSegments.length - 1 ? 'disabled' : ''}>▼</button>
+            <button class="segment-btn" data-action="remove" title="Remove segment" ${customSegments.length === 1 ? 'disabled' : ''}>✕</button>
+        `;
+        row.querySelector('.segment-surface').value = segment.surface;
+        list.appendChild(row);
+    });
+    
+    drawTrackPreview();
+}
+
+function handleSegmentInput(e) {
+    const row = e.target.closest('.segment-row');
+    if (!row) return;
+    const segment = customSegments[parseInt(row.dataset.index, 10)];
+    
+    switch (e.target.dataset.field) {
+        case 'surface':
+            segment.surface = e.target.value;
+            break;
+        case 'length': {
+            const length = parseFloat(e.target.value);
+            if (!isNaN(length)) segment.length = Math.max(MIN_SEGMENT_LENGTH, Math.min(MAX_SEGMENT_LENGTH, length));
+            if (e.type === 'change') {
+                e.target.value = segment.length;
+                row.querySelector('.segment-slopes').value = formatSlopeList(segment.slopes, segment.length);
+            }
+            break;
+        }
+        case 'slopes':
+            segment.slopes = parseSlopeList(e.target.value, segment.length);
+            if (e.type === 'change') e.target.value = formatSlopeList(segment.slopes, segment.length);
+            break;
+        default:
+            return;
+    }
+    
+    drawTrackPreview();
+}
+
+function handleSegmentAction(e) {
+    const button = e.target.closest('.segment-btn');
+    const row = e.target.closest('.segment-row');
+    if (!button || !row) return;
+    const index = parseInt(row.dataset.index, 10);
+    
+    if (button.dataset.action === 'remove' && customSegments.length > 1) {
+        customSegments.splice(index, 1);
+    } else if (button.dataset.action === 'up' && index > 0) {
+        [customSegments[index - 1], customSegments[index]] = [customSegments[index], customSegments[index - 1]];
+    } else if (button.dataset.action === 'down' && index < customSegments.length - 1) {
+        [customSegments[index + 1], customSegments[index]] = [customSegments[index], customSegments[index + 1]];
+    }
+    
+    renderTrackEditor();
+}
+
+function addTrackSegment() {
+    const last = customSegments[customSegments.length - 1];
+    customSegments.push({ surface: last ? last.surface : trackSurfaces[0].name, length: 100, slopes: [{ angle: 0, length: 1 }] });
+    renderTrackEditor();
+}
+
+/**
+ * Draws the custom track's elevation profile using the same height math as the game view.
+ */
+function drawTrackPreview() {
+    const canvas = document.getElementById('trackPreviewCanvas');
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    const w = canvas.width;
+    const h = canvas.height;
+    const padding = 10;
+    
+    ctx.clearRect(0, 0, w, h);
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+    ctx.fillRect(0, 0, w, h);
+    
+    const previewTerrains = buildTrack(customSegments, trackSurfaces);
+    const totalLength = previewTerrains[previewTerrains.length - 1].end;
+    
+    // Sample the profile to find the elevation range
+    const step = Math.max(1, totalLength / w);
+    const samples = [];
+    for (let pos = 0; pos <= totalLength + step; pos += step) {
+        const actualPos = Math.min(pos, totalLength);
+        samples.push({ pos: actualPos, height: terrainHeightAt(previewTerrains, actualPos) });
+    }
+    const minHeight = Math.min(...samples.map(p => p.height), 0);
+    const maxHeight = Math.max(...samples.map(p => p.height), 0);
+    const heightRange = Math.max(maxHeight - minHeight, 1);
+    
+    const toX = pos => padding + (pos / totalLength) * (w - padding * 2);
+    const toY = height => h - padding - ((height - minHeight) / heightRange) * (h - padding * 2 - 20);
+    
+    previewTerrains.forEach(terrain => {
+        const segmentSamples = samples.filter(p => p.pos >= terrain.start && p.pos <= terrain.end);
+        if (segmentSamples.length === 0) return;
+        
+        ctx.fillStyle = terrain.color;
+        ctx.strokeStyle = terrain.darkColor;
+        ctx.lineWidth = 2;
+        
+        ctx.beginPath();
+        ctx.moveTo(toX(terrain.start), h);
+        ctx.lineTo(toX(terrain.start), toY(terrainHeightAt(previewTerrains, terrain.start)));
+        segmentSamples.forEach(p => ctx.lineTo(toX(p.pos), toY(p.height)));
+        ctx.lineTo(toX(terrain.end), toY(terrainHeightAt(previewTerrains, terrain.end)));
+        ctx.lineTo(toX(terrain.end), h);
+        ctx.closePath();
+        ctx.fill();
+        
+        ctx.beginPath();
+        ctx.moveTo(toX(terrain.start), toY(terrainHeightAt(previewTerrains, terrain.start)));
+        segmentSamples.forEach(p => ctx.lineTo(toX(p.pos), toY(p.height)));
+        ctx.stroke();
+    });
+    
+    ctx.fillStyle = '#fff';
+    ctx.font = '12px Arial';
+    ctx.textAlign = 'left';
+    ctx.fillText(`Length: ${totalLength.toFixed(0)} m`, padding, 16);
+    ctx.textAlign = 'right';
+    ctx.fillText(`Elevation: ${minHeight.toFixed(1)} m to ${maxHeight.toFixed(1)} m (vertical scale exaggerated)`, w - padding, 16);
+}
+
+// ===== TRACK FILES =====
+
+/**
+ * Shows a message (and a list of errors, if any) in one of the menu's status boxes.
+ */
+function showMenuStatus(elementId, message, errors = []) {
+    const status = document.getElementById(elementId);
+    if (!status) return;
+    
+    status.classList.toggle('error', errors.length > 0);
+    status.innerHTML = '';
+    if (!message) return;
+    
+    const heading = document.createElement('div');
+    heading.textContent = message;
+    status.appendChild(heading);
+    
+    if (errors.length) {
+        const list = document.createElement('ul');
+        errors.forEach(error => {
+            const item = document.createElement('li');
+            item.textContent = error;
+            list.appendChild(item);
+        });
+        status.appendChild(list);
+    }
+}
+
+/**
+ * Writes a (partial) physics configuration into the menu inputs.
+ */
+function setMenuPhysics(physics) {
+    const fields = {
+        gravity: 'gravityValue',
+        engineForce: 'engineForce',
+        brakeForce: 'brakeForce',
+        mass: 'carMass',
+        dragCoefficient: 'dragCoefficient',
+        frontalArea: 'frontalArea',
+        rollingResistance: 'rollingResistance'
+    };
+    // Unrounded, so the run uses exactly the values given
+    Object.entries(fields).forEach(([key, id]) => {
+        const input = document.getElementById(id);
+        if (input && typeof physics[key] === 'number') input.value = String(physics[key]);
+    });
+    
+    if ('maxSpeed' in physics) {
+        const governorToggle = document.getElementById('governorToggle');
+        if (governorToggle) governorToggle.checked = physics.maxSpeed !== null;
+        if (physics.maxSpeed !== null && document.getElementById('maxSpeed')) document.getElementById('maxSpeed').value = String(physics.maxSpeed);
+        updateGovernorInput();
+    }
+    if (typeof physics.abs === 'boolean' && document.getElementById('absToggle')) {
+        document.getElementById('absToggle').checked = physics.abs;
+    }
+    if (physics.integrator && document.getElementById('integratorSelect')) {
+        document.getElementById('integratorSelect').value = physics.integrator;
+    }
+    if ('gearbox' in physics && document.getElementById('gearboxSelect')) {
+        document.getElementById('gearboxSelect').value = physics.gearbox || 'none';
+    }
+}
+
+/**
+ * Puts a validated track (see parseTrackFile) into the menu as the custom track, along with its
+ * physics preset and conditions if it has them.
+ */
+function applyTrackDefinition(track) {
+    trackFileSurfaces = track.fileSurfaces;
+    trackSurfaces = track.surfaces;
+    customSegments = track.segments;
+    surfacePatches = (track.surfacePatches || []).map(patch => ({ ...patch }));
+    setMenuTransition(track.transition || null);
+    renderSurfacePatchEditor();
+    renderBrakeSurfaceOptions();
+    renderComparisonEditor();
+    if (track.physics) {
+        setMenuPhysics(track.physics);
+        // Settings the menu has no input for still apply to the run
+        if ('airDensity' in track.physics) physicsConfig.airDensity = track.physics.airDensity;
+    }
+    if (track.conditions) {
+        conditionPatches = track.conditions.patches;
+        setWeather(track.conditions.weather);
+        renderPatchEditor();
+    }
+    
+    const customToggle = document.getElementById('customTrackToggle');
+    if (customToggle) customToggle.checked = true;
+    updateTrackInputVisibility();
+}
+
+/** The physics a scenario runs with: the defaults, overridden by its track's preset. */
+function getScenarioPhysics(track) {
+    const { terrains: _omit, conditions: _conditions, ...defaults } = DEFAULT_CONFIG;
+    return { ...defaults, ...(track.physics || {}) };
+}
+
+/**
+ * Sets the menu up exactly as an experiment or lesson describes: its track, the default physics
+ * overridden by the track's preset, its conditions (dry if it has none) and its driver.
+ */
+function applyScenario(track, driver) {
+    applyTrackDefinition({
+        ...track,
+        physics: getScenarioPhysics(track),
+        conditions: track.conditions || { weather: 'dry', patches: [] }
+    });
+    scenarioDriver = driver;
+    setControllerType(driver.type);
+}
+
+function loadTrackFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        const { track, errors } = parseTrackFile(reader.result, surfaceLibrary.getAll());
+        if (!track) {
+            showMenuStatus('trackFileStatus', `❌ Could not load "${file.name}":`, errors);
+            return;
+        }
+        
+        applyTrackDefinition(track);
+        const title = track.name || file.name;
+        showMenuStatus('trackFileStatus', `✅ Loaded "${title}" - ${track.segments.length} segment(s)${track.physics ? ' with physics preset' : ''}.${track.description ? ' ' + track.description : ''}`);
+    };
+    reader.onerror = () => showMenuStatus('trackFileStatus', `❌ Could not read "${file.name}".`);
+    reader.readAsText(file);
+}
+
+function saveTrackFile() {
+    updatePhysicsConstants();
+    updateTerrainStructure();
+    
+    const { terrains: _omit, conditions, ...physics } = physicsConfig;
+    const content = serializeTrack(terrains, { name: 'Surface Matters track', physics: physics, conditions: conditions });
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    downloadFile(`surface-matters-track-${stamp}.json`, content, 'application/json');
+}
+
+// ===== SCENARIO LINKS =====
+
+// The menu input behind each driver option, and the controller types that use it
+const DRIVER_MENU_INPUTS = {
+    targetSpeed: { id: 'targetSpeedInput', types: ['cruise', 'pid'] },
+    kp: { id: 'pidKpInput', types: ['pid'] },
+    ki: { id: 'pidKiInput', types: ['pid'] },
+    kd: { id: 'pidKdInput', types: ['pid'] },
+    surface: { id: 'brakeSurfaceSelect', types: ['brake-before'] },
+    approachSpeed: { id: 'approachSpeedInput', types: ['brake-before'] },
+    lookahead: { id: 'lookaheadInput', types: ['brake-before'] },
+    source: { id: 'scriptInput', types: ['script'] }
+};
+
+/** The current driver in the experiment file form, { type, ...options }, with only the options it uses. */
+function getLinkDriver() {
+    const options = getDriverOptions();
+    const driver = { type: controllerType };
+    Object.entries(DRIVER_MENU_INPUTS).forEach(([key, input]) => {
+        if (input.types.includes(controllerType)) driver[key] = options[key];
+    });
+    return driver;
+}
+
+/** Writes a validated driver ({ type, options }, see validateDriver) into the driver menu. */
+function setMenuDriver(driver) {
+    Object.entries(driver.options).forEach(([key, value]) => {
+        const input = DRIVER_MENU_INPUTS[key] && document.getElementById(DRIVER_MENU_INPUTS[key].id);
+        if (input) input.value = String(value);
+    });
+    setControllerType(driver.type);
+}
+
+/**
+ * The link to a scenario: the finished run's setup when fromRun, otherwise the menu's.
+ */
+function getScenarioLink(fromRun, autostart) {
+    let config = simulation.config;
+    let track = simulation.terrains;
+    if (!fromRun) {
+        updatePhysicsConstants();
+        updateTerrainStructure();
+        config = physicsConfig;
+        track = terrains;
+    }
+    
+    const { terrains: _omit, conditions, ...physics } = config;
+    const file = JSON.parse(serializeTrack(track, { physics: physics, conditions: conditions }));
+    return location.href.split('#')[0] + createScenarioHash(file, getLinkDriver(), autostart);
+}
+
+/**
+ * Copies a scenario link to the clipboard, or shows it for copying by hand where the browser
+ * does not allow that (e.g. some file:// pages).
+ */
+function copyScenarioLink(fromRun, autostartId, statusId) {
+    const autostartToggle = document.getElementById(autostartId);
+    const link = getScenarioLink(fromRun, autostartToggle ? autostartToggle.checked : false);
+    
+    const showLink = () => {
+        showMenuStatus(statusId, '📋 Copy this link:');
+        const status = document.getElementById(statusId);
+        if (!status) return;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.readOnly = true;
+        input.className = 'share-link';
+        input.value = link;
+        status.appendChild(input);
+        input.select();
+    };
+    if (!navigator.clipboard || !navigator.clipboard.writeText) {
+        showLink();
+        return;
+    }
+    navigator.clipboard.writeText(link).then(
+        () => showMenuStatus(statusId, `✅ Link copied (${link.length} characters) - paste it into your class page or message.`),
+        showLink
+    );
+}
+
+/**
+ * Applies a scenario link from the address bar, if there is one: fills in the menu with it, or
+ * with run=1 starts the run straight away. Runs on load and whenever the hash changes.
+ */
+function loadScenarioFromHash() {
+    const { scenario, errors } = parseScenarioHash(location.hash);
+    if (!scenario && !errors.length) return;
+    
+    // Back to the menu before anything is applied, so no driver is built until the student starts
+    ['resultsScreen', 'experimentScreen', 'historyScreen'].forEach(id => document.getElementById(id)?.classList.add('hidden'));
+    ['hud', 'controls', 'educationPanel'].forEach(id => {
+        if (document.getElementById(id)) document.getElementById(id).style.display = 'none';
+    });
+    document.getElementById('mainMenu')?.classList.remove('hidden');
+    if (lessonRunner) exitLesson();
+    experimentRun = null;
+    if (!scenario) {
+        showMenuStatus('trackFileStatus', '❌ Could not open the shared link:', errors);
+    } else {
+        applyScenario(scenario.track, scenario.driver);
+        // The driver goes into the menu too, so students can see and change it like any other setting
+        scenarioDriver = null;
+        setMenuDriver(scenario.driver);
+        showMenuStatus('trackFileStatus', `✅ Opened a shared scenario - ${scenario.track.segments.length} segment(s).`);
+    }
+    
+    // A script is code from whoever made the link: it stays in the script box, unbuilt, until the
+    // student has read it and pressed Start
+    if (scenario && scenario.driver.type === 'script') {
+        showMenuStatus('trackFileStatus', '⚠️ This link drives the car with a script. Read it under 🤖 Driver before you start.');
+    } else if (scenario && scenario.autostart) {
+        startSimulation();
+        return;
+    }
+    resetSimulation();
+}
+
+// ===== EXPERIMENTS =====
+
+function renderExperimentOptions() {
+    const select = document.getElementById('experimentSelect');
+    if (!select) return;
+    
+    const current = select.value;
+    select.innerHTML = experiments
+        .map((experiment, index) => `<option value="${index}">🔬 ${escapeHtml(experiment.title)}</option>`)
+        .join('');
+    if (current && experiments[current]) select.value = current;
+    updateExperimentSummary();
+}
+
+function getSelectedExperiment() {
+    const select = document.getElementById('experimentSelect');
+    return experiments[select ? parseInt(select.value, 10) : 0] || experiments[0];
+}
+
+function updateExperimentSummary() {
+    const summary = document.getElementById('experimentSummary');
+    const experiment = getSelectedExperiment();
+    if (!summary || !experiment) return;
+    summary.textContent = [experiment.description, `Predict: ${PREDICTIONS[experiment.predict].label.toLowerCase()}.`].filter(Boolean).join(' ');
+}
+
+function loadExperimentFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        const { experiment, errors } = parseExperimentFile(reader.result, surfaceLibrary.getAll());
+        if (!experiment) {
+            showMenuStatus('experimentFileStatus', `❌ Could not load "${file.name}":`, errors);
+            return;
+        }
+        
+        experiments.push(experiment);
+        renderExperimentOptions();
+        const select = document.getElementById('experimentSelect');
+        if (select) select.value = String(experiments.length - 1);
+        updateExperimentSummary();
+        showMenuStatus('experimentFileStatus', `✅ Loaded "${experiment.title}".`);
+    };
+    reader.onerror = () => showMenuStatus('experimentFileStatus', `❌ Could not read "${file.name}".`);
+    reader.readAsText(file);
+}
+
+/** One line each for the track, car, conditions and driver, as the student sees the scenario. */
+function describeExperimentSetup(experiment) {
+    const { track, driver } = experiment;
+    const physics = getScenarioPhysics(track);
+    const surfaceEmoji = name => (track.surfaces.find(s => s.name === name) || {}).emoji || '';
+    const hills = track.segments.some(segment => segment.slopes.some(slope => slope.angle !== 0));
+    const surfacePatchCount = (track.surfacePatches || []).length;
+    const weather = track.conditions ? SURFACE_CONDITIONS[track.conditions.weather] : SURFACE_CONDITIONS.dry;
+    const patches = track.conditions ? track.conditions.patches.length : 0;
+    const type = CONTROLLER_TYPES[driver.type];
+    
+    return [
+        `🛣️ Track: ${track.segments.map(segment => `${surfaceEmoji(segment.surface)} ${segment.surface} ${segment.length} m`).join(' → ')}${hills ? ' (with slopes)' : ', flat'}` +
+            `${surfacePatchCount ? `, ${surfacePatchCount} surface patch(es)` : ''}${track.transition ? `, μ blends over ${track.transition.length} m` : ''}`,
+        `🚗 Car: ${physics.mass} kg, engine ${physics.engineForce} N, brakes ${physics.brakeForce} N${physics.abs ? ' with ABS' : ''}${physics.gearbox ? `, ${physics.gearbox} gearbox` : ''}, ` +
+            `${physics.maxSpeed === null ? 'no speed governor' : `governed to ${physics.maxSpeed} m/s`}`,
+        `🌍 Gravity ${physics.gravity} m/s², air density ${physics.airDensity} kg/m³, ${weather.emoji} ${weather.name}${patches ? ` with ${patches} patch(es)` : ''}`,
+        driver.type === 'manual'
+            ? '🎮 Driver: you (keyboard, gamepad or pedal sliders)'
+            : `🤖 Driver: ${type.name}${driver.options.source ? ` - ${driver.options.source}` : ''}`
+    ];
+}
+
+/** Shows the prediction form for the experiment picked in the menu. */
+function openExperiment() {
+    const experiment = getSelectedExperiment();
+    if (!experiment) return;
+    const kind = PREDICTIONS[experiment.predict];
+    
+    if (document.getElementById('experimentTitle')) document.getElementById('experimentTitle').textContent = `🔬 ${experiment.title}`;
+    if (document.getElementById('experimentDescription')) document.getElementById('experimentDescription').textContent = experiment.description;
+    const setup = document.getElementById('experimentSetup');
+    if (setup) {
+        setup.innerHTML = '';
+        describeExperimentSetup(experiment).forEach(line => {
+            const item = document.createElement('li');
+            item.textContent = line;
+            setup.appendChild(item);
+        });
+    }
+    if (document.getElementById('experimentQuestion')) document.getElementById('experimentQuestion').textContent = `❓ ${experiment.question}`;
+    if (document.getElementById('predictionUnit')) document.getElementById('predictionUnit').textContent = kind.unit;
+    if (document.getElementById('predictionInput')) document.getElementById('predictionInput').value = '';
+    showMenuStatus('predictionStatus', '');
+    
+    document.getElementById('mainMenu')?.classList.add('hidden');
+    document.getElementById('experimentScreen')?.classList.remove('hidden');
+    document.getElementById('predictionInput')?.focus();
+}
+
+/**
+ * Locks in the prediction, sets the menu up exactly as the experiment describes (track,
+ * physics, conditions, driver) and starts the run.
+ */
+function runExperiment() {
+    const experiment = getSelectedExperiment();
+    const input = document.getElementById('predictionInput');
+    const prediction = input ? parseFloat(input.value) : NaN;
+    if (!isFinite(prediction)) {
+        showMenuStatus('predictionStatus', '❌ Enter your prediction first:', [`A number in ${PREDICTIONS[experiment.predict].unit}.`]);
+        return;
+    }
+    
+    applyScenario(experiment.track, experiment.driver);
+    experimentRun = { experiment: experiment, prediction: prediction, idle: 0 };
+    
+    document.getElementById('experimentScreen')?.classList.add('hidden');
+    startSimulation();
+}
+
+/** Fills the experiment part of the results: the prediction against what happened, scored. */
+function renderExperimentResult() {
+    const section = document.getElementById('experimentResults');
+    if (!section) return;
+    section.style.display = experimentRun ? 'block' : 'none';
+    if (!experimentRun) return;
+    
+    const { experiment, prediction } = experimentRun;
+    const kind = PREDICTIONS[experiment.predict];
+    const result = scorePrediction(experiment, prediction, state);
+    const format = value => `${value.toFixed(kind.unit === 'm' ? 1 : 2)} ${kind.unit}`;
+    
+    if (document.getElementById('experimentResultTitle')) document.getElementById('experimentResultTitle').textContent = `🔬 ${experiment.title}: ${kind.label}`;
+    if (document.getElementById('predictionResult')) document.getElementById('predictionResult').textContent = format(result.predicted);
+    if (document.getElementById('actualResult')) document.getElementById('actualResult').textContent = result.actual === null ? '--' : format(result.actual);
+    if (document.getElementById('predictionErrorResult')) document.getElementById('predictionErrorResult').textContent = result.error === null ? '--' : `${(result.error * 100).toFixed(1)}%`;
+    if (document.getElementById('experimentScoreResult')) document.getElementById('experimentScoreResult').textContent = `${result.score} / 100`;
+    if (document.getElementById('experimentVerdict')) {
+        document.getElementById('experimentVerdict').textContent = `${result.verdict} Full marks within ${(experiment.tolerance * 100).toFixed(0)}% of the actual value.`;
+    }
+    if (document.getElementById('experimentExplanation')) document.getElementById('experimentExplanation').textContent = experiment.explanation;
+}
+
+// ===== LESSONS =====
+
+function renderLessonList() {
+    const list = document.getElementById('lessonList');
+    if (!list) return;
+    list.innerHTML = lessons.map(lesson => `
+        <button class="lesson-btn" data-lesson="${escapeHtml(lesson.id)}">
+            <strong>${escapeHtml(lesson.title)}</strong>
+            <span>${escapeHtml(lesson.summary)}</span>
+        </button>
+    `).join('');
+}
+
+function startLesson(id) {
+    const lesson = lessons.find(l => l.id === id);
+    if (!lesson) return;
+    lessonRunner = createLessonRunner(lesson);
+    showMenuStatus('lessonStatus', '');
+    showLessonStep();
+}
+
+/** Leaves the lesson in progress (completed or not) and goes back to the list. */
+function exitLesson(message = '') {
+    lessonRunner = null;
+    scenarioDriver = null;
+    setLessonHighlights([]);
+    if (document.getElementById('lessonView')) document.getElementById('lessonView').style.display = 'none';
+    if (document.getElementById('lessonPicker')) document.getElementById('lessonPicker').style.display = 'block';
+    showMenuStatus('lessonStatus', message);
+}
+
+/** Marks the HUD rows (or elements) with these ids, clearing the previous step's marks. */
+function setLessonHighlights(ids) {
+    document.querySelectorAll('.lesson-highlight').forEach(el => el.classList.remove('lesson-highlight'));
+    ids.forEach(id => {
+        const el = document.getElementById(id);
+        if (!el) return;
+        (el.closest('.stat') || el).classList.add('lesson-highlight');
+    });
+}
+
+/**
+ * Shows the current step. A step with a setup restarts the run on its track first, so a student
+ * going back to it gets the same starting point again.
+ */
+function showLessonStep() {
+    const step = lessonRunner.getStep();
+    const { lesson } = lessonRunner;
+    
+    if (step.setup) {
+        experimentRun = null;
+        applyScenario(step.setup.track, step.setup.driver);
+        startSimulation();
+    }
+    
+    if (document.getElementById('lessonPicker')) document.getElementById('lessonPicker').style.display = 'none';
+    if (document.getElementById('lessonView')) document.getElementById('lessonView').style.display = 'block';
+    if (document.getElementById('lessonTitle')) document.getElementById('lessonTitle').textContent = `🎓 ${lesson.title}`;
+    if (document.getElementById('lessonProgress')) document.getElementById('lessonProgress').textContent = `${lessonRunner.getIndex() + 1} / ${lesson.steps.length}`;
+    if (document.getElementById('lessonStepTitle')) document.getElementById('lessonStepTitle').textContent = step.title;
+    if (document.getElementById('lessonText')) document.getElementById('lessonText').innerHTML = step.text;
+    if (document.getElementById('lessonBackBtn')) document.getElementById('lessonBackBtn').disabled = lessonRunner.getIndex() === 0;
+    setLessonHighlights(step.highlight);
+    renderLessonTask();
+}
+
+/** The step's task with its status, or its question as answer buttons, plus any feedback. */
+function renderLessonTask(feedback = '') {
+    const container = document.getElementById('lessonTask');
+    const nextBtn = document.getElementById('lessonNextBtn');
+    const { task } = lessonRunner.getStep();
+    const done = lessonRunner.isDone();
+    
+    if (nextBtn) {
+        nextBtn.disabled = !done;
+        nextBtn.textContent = lessonRunner.isLast() ? '🎉 Finish' : 'Next ▶';
+    }
+    if (!container) return;
+    if (!task) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    if (task.on !== 'answer') {
+        container.innerHTML = `<div class="lesson-task-line${done ? ' done' : ''}">${done ? '✅' : '🎯'} ${escapeHtml(describeTrigger(task))}</div>`;
+        return;
+    }
+    container.innerHTML = `
+        <div class="lesson-task-line${done ? ' done' : ''}">❓ ${escapeHtml(task.question)}</div>
+        ${task.choices.map((choice, index) => `<button class="lesson-choice" data-choice="${index}" ${done ? 'disabled' : ''}>${escapeHtml(choice)}</button>`).join('')}
+        <div class="lesson-feedback">${escapeHtml(feedback)}</div>
+    `;
+}
+
+function handleLessonChoice(e) {
+    const button = e.target.closest('[data-choice]');
+    if (!button || !lessonRunner) return;
+    const correct = lessonRunner.answer(parseInt(button.dataset.choice, 10));
+    const { task } = lessonRunner.getStep();
+    renderLessonTask(correct ? `✅ ${task.explain || 'Correct!'}` : '❌ Not quite - have another look and try again.');
+}
+
+function nextLessonStep() {
+    if (!lessonRunner || !lessonRunner.isDone()) return;
+    if (lessonRunner.isLast()) {
+        exitLesson(`🎉 Lesson complete: ${lessonRunner.lesson.title}`);
+        return;
+    }
+    lessonRunner.next();
+    showLessonStep();
+}
+
+/** What the lesson triggers test (see lessons.js), from the current run. */
+function getLessonObservation() {
+    const terrain = getCurrentTerrain();
+    return {
+        pos: state.pos,
+        vel: state.vel,
+        time: state.time,
+        terrain: surfaceAt(terrains, state.pos).surface.name, // A patch counts as driving onto its surface
+        slope: getCurrentSlope(terrain),
+        brakeMode: state.brakeMode,
+        weather: state.conditions.weather,
+        stopped: Math.abs(state.vel) < STOP_THRESHOLD && state.maxSpeed > 0,
+        finished: state.finished,
+        showForces: view.showForces
+    };
+}
+
+/** Checks the step's pause point and task against the run; called every frame. */
+function updateLesson() {
+    if (!lessonRunner) return;
+    const { pause, completed } = lessonRunner.observe(getLessonObservation());
+    if (pause) setPaused(true);
+    if (completed) renderLessonTask();
+}
+
+// ===== SURFACE LIBRARY =====
+
+/**
+ * window.localStorage, or null where the browser blocks it (e.g. some file:// pages).
+ */
+function getBrowserStorage() {
+    try {
+        return window.localStorage || null;
+    } catch (err) {
+        return null;
+    }
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+/**
+ * Recomputes the surfaces the track can use after the library changes. A surface defined by a
+ * loaded track file keeps its file values unless the library entry was saved since.
+ */
+function refreshTrackSurfaces() {
+    trackSurfaces = surfaceLibrary.getAll();
+    trackFileSurfaces.forEach(surface => {
+        const index = trackSurfaces.findIndex(s => s.name === surface.name);
+        if (index >= 0) trackSurfaces[index] = surface;
+        else trackSurfaces.push(surface);
+    });
+    
+    renderSurfaceLibrary();
+    renderTrackEditor();
+    renderSurfacePatchEditor();
+    renderBrakeSurfaceOptions();
+    renderComparisonEditor();
+}
+
+function renderSurfaceLibrary() {
+    const list = document.getElementById('surfaceList');
+    if (!list) return;
+    
+    list.innerHTML = '';
+    surfaceLibrary.getAll().forEach(surface => {
+        const builtIn = surfaceLibrary.isBuiltIn(surface.name);
+        const modified = surfaceLibrary.isModified(surface.name);
+        const tag = builtIn ? (modified ? 'edited' : 'built-in') : 'custom';
+        const row = document.createElement('div');
+        row.className = 'surface-row';
+        row.dataset.name = surface.name;
+        row.innerHTML = `
+            <span class="surface-swatch" style="background: linear-gradient(${surface.color}, ${surface.darkColor});"></span>
+            <span class="surface-name">${escapeHtml(surface.emoji)} ${escapeHtml(surface.name)} <small>${tag}</small></span>
+            <span>${surface.muStatic.toFixed(2)}</span>
+            <span>${surface.muKinetic.toFixed(2)}</span>
+            <span>${typeof surface.rollingResistance === 'number' ? surface.rollingResistance.toFixed(3) : 'car'}</span>
+            <button class="segment-btn" data-action="edit" title="Edit surface">✎</button>
+            ${builtIn
+                ? `<button class="segment-btn" data-action="remove" title="Restore built-in values" ${modified ? '' : 'disabled'}>↺</button>`
+                : '<button class="segment-btn" data-action="remove" title="Delete surface">✕</button>'}
+        `;
+        list.appendChild(row);
+    });
+}
+
+/**
+ * Opens the surface form for a library entry, or empty for a new surface when name is null.
+ */
+function openSurfaceForm(name = null) {
+    const form = document.getElementById('surfaceForm');
+    if (!form) return;
+    
+    const surface = name ? surfaceLibrary.get(name) : { name: '', emoji: '', muStatic: 0.5, muKinetic: 0.4, color: '#9ca3af', darkColor: '#4b5563' };
+    editingSurfaceName = name;
+    
+    document.getElementById('surfaceNameInput').value = surface.name;
+    document.getElementById('surfaceNameInput').disabled = name !== null && surfaceLibrary.isBuiltIn(name);
+    document.getElementById('surfaceEmojiInput').value = surface.emoji;
+    document.getElementById('surfaceMuStaticInput').value = surface.muStatic;
+    document.getElementById('surfaceMuKineticInput').value = surface.muKinetic;
+    document.getElementById('surfaceRollingInput').value = typeof surface.rollingResistance === 'number' ? surface.rollingResistance : '';
+    document.getElementById('surfaceColorInput').value = surface.color;
+    document.getElementById('surfaceDarkColorInput').value = surface.darkColor;
+    
+    form.style.display = 'block';
+    showMenuStatus('surfaceLibraryStatus', '');
+}
+
+function closeSurfaceForm() {
+    const form = document.getElementById('surfaceForm');
+    if (form) form.style.display = 'none';
+    editingSurfaceName = null;
+}
+
+function saveSurfaceForm() {
+    const readNumber = id => {
+        const value = document.getElementById(id).value.trim();
+        return value === '' ? null : parseFloat(value);
+    };
+    const surface = {
+        name: document.getElementById('surfaceNameInput').value.trim().toUpperCase(),
+        emoji: document.getElementById('surfaceEmojiInput').value.trim(),
+        muStatic: readNumber('surfaceMuStaticInput'),
+        muKinetic: readNumber('surfaceMuKineticInput'),
+        rollingResistance: readNumber('surfaceRollingInput'),
+        color: document.getElementById('surfaceColorInput').value,
+        darkColor: document.getElementById('surfaceDarkColorInput').value
+    };
+    
+    const { surface: saved, errors } = surfaceLibrary.save(surface, editingSurfaceName);
+    if (!saved) {
+        showMenuStatus('surfaceLibraryStatus', '❌ Could not save the surface:', errors);
+        return;
+    }
+    
+    // Everything naming a renamed surface follows it, and the saved values win over a loaded track file's
+    if (editingSurfaceName && editingSurfaceName !== saved.name) renameSurfaceReferences(editingSurfaceName, saved.name);
+    trackFileSurfaces = trackFileSurfaces.filter(s => s.name !== saved.name && s.name !== editingSurfaceName);
+    
+    closeSurfaceForm();
+    refreshTrackSurfaces();
+    showMenuStatus('surfaceLibraryStatus', `✅ Saved ${saved.emoji} ${saved.name}.`);
+}
+
+/**
+ * Points the segments, surface patches, comparison cars and brake-before driver that use a
+ * surface at its new name.
+ */
+function renameSurfaceReferences(oldName, newName) {
+    customSegments.concat(surfacePatches, comparisonCars).forEach(piece => {
+        if (piece.surface === oldName) piece.surface = newName;
+    });
+    if (scenarioDriver && scenarioDriver.options.surface === oldName) {
+        scenarioDriver = { ...scenarioDriver, options: { ...scenarioDriver.options, surface: newName } };
+    }
+    // The option is rebuilt under the new name, so renaming it keeps it selected
+    const brakeOption = Array.from(document.getElementById('brakeSurfaceSelect')?.options || []).find(o => o.value === oldName);
+    if (brakeOption) brakeOption.value = newName;
+}
+
+function handleSurfaceAction(e) {
+    const button = e.target.closest('.segment-btn');
+    const row = e.target.closest('.surface-row');
+    if (!button || !row) return;
+    const name = row.dataset.name;
+    
+    if (button.dataset.action === 'edit') {
+        openSurfaceForm(name);
+        return;
+    }
+    if (button.dataset.action !== 'remove') return;
+    
+    if (!surfaceLibrary.isBuiltIn(name)) {
+        const usedBy = customSegments
+            .map((segment, index) => segment.surface === name ? index + 1 : null)
+            .filter(index => index !== null);
+        if (usedBy.length && !trackFileSurfaces.some(s => s.name === name)) {
+            showMenuStatus('surfaceLibraryStatus', `❌ ${name} is still used by custom track segment(s) ${usedBy.join(', ')}.`, ['Change those segments to another surface first.']);
+            return;
+        }
+        if (surfacePatches.some(patch => patch.surface === name) && !trackFileSurfaces.some(s => s.name === name)) {
+            showMenuStatus('surfaceLibraryStatus', `❌ ${name} is still used by a surface patch.`, ['Change or remove that patch first.']);
+            return;
+        }
+    }
+    
+    surfaceLibrary.remove(name);
+    if (editingSurfaceName === name) closeSurfaceForm();
+    refreshTrackSurfaces();
+    showMenuStatus('surfaceLibraryStatus', surfaceLibrary.isBuiltIn(name) ? `↺ Restored the built-in ${name}.` : `🗑️ Deleted ${name}.`);
+}
+
+// ===== CONDITIONS =====
+
+/**
+ * Fills the weather selects (menu and controls bar) and the patch editor from SURFACE_CONDITIONS.
+ */
+function renderConditionOptions() {
+    const weatherOptions = Object.entries(SURFACE_CONDITIONS)
+        .filter(([, condition]) => !condition.patchOnly)
+        .map(([key, condition]) => `<option value="${key}">${condition.emoji} ${condition.name} (μ × ${condition.muFactor})</option>`)
+        .join('');
+    
+    ['weatherSelect', 'weatherControl'].forEach(id => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        select.innerHTML = weatherOptions;
+        select.value = physicsConfig.conditions.weather;
+    });
+    
+    renderPatchEditor();
+}
+
+/**
+ * Changes the weather for the current run (from the next physics step) and every run after it.
+ */
+function setWeather(weather) {
+    if (!SURFACE_CONDITIONS[weather]) return;
+    physicsConfig.conditions = { ...physicsConfig.conditions, weather: weather };
+    
+    ['weatherSelect', 'weatherControl'].forEach(id => {
+        const select = document.getElementById(id);
+        if (select) select.value = weather;
+    });
+    if (simulation) simulation.setConditions(physicsConfig.conditions);
+    rivals.forEach(rival => rival.simulation.setConditions(physicsConfig.conditions));
+}
+
+function renderPatchEditor() {
+    const list = document.getElementById('patchList');
+    if (!list) return;
+    
+    const patchOptions = Object.entries(SURFACE_CONDITIONS)
+        .filter(([key]) => key !== 'dry')
+        .map(([key, condition]) => `<option value="${key}">${condition.emoji} ${condition.name}</option>`)
+        .join('');
+    
+    list.innerHTML = '';
+    conditionPatches.forEach((patch, index) => {
+        const row = document.createElement('div');
+        row.className = 'segment-row patch-row';
+        row.dataset.index = String(index);
+        row.innerHTML = `
+            <span class="segment-number">${index + 1}</span>
+            <select data-field="condition">${patchOptions}</select>
+            <input type="number" data-field="start" min="0" step="10" value="${patch.start}" title="Start (m from the start line)">
+            <input type="number" data-field="end" min="1" step="10" value="${patch.end}" title="End (m from the start line)">
+            <button class="segment-btn" data-action="remove" title="Remove patch">✕</button>
+        `;
+        row.querySelector('select').value = patch.condition;
+        list.appendChild(row);
+    });
+}
+
+function handlePatchInput(e) {
+    const row = e.target.closest('.patch-row');
+    if (!row) return;
+    const patch = conditionPatches[parseInt(row.dataset.index, 10)];
+    const field = e.target.dataset.field;
+    
+    if (field === 'condition') {
+        patch.condition = e.target.value;
+    } else if (field === 'start' || field === 'end') {
+        const value = parseFloat(e.target.value);
+        if (!isNaN(value)) patch[field] = Math.max(0, value);
+        // Keep every patch at least 1 m long
+        if (patch.end <= patch.start) {
+            if (field === 'start') patch.end = patch.start + 1;
+            else patch.start = Math.max(0, patch.end - 1);
+        }
+        if (e.type === 'change') renderPatchEditor();
+    }
+}
+
+function handlePatchAction(e) {
+    const button = e.target.closest('.segment-btn');
+    const row = e.target.closest('.patch-row');
+    if (!button || !row) return;
+    
+    conditionPatches.splice(parseInt(row.dataset.index, 10), 1);
+    renderPatchEditor();
+}
+
+function addConditionPatch() {
+    const last = conditionPatches[conditionPatches.length - 1];
+    const start = last ? last.end + 50 : 100;
+    conditionPatches.push({ condition: 'puddle', start: start, end: start + 20 });
+    renderPatchEditor();
+}
+
+// ===== DRIVER =====
+
+function renderControllerOptions() {
+    const options = '<option value="manual">🎮 Manual (keyboard)</option>' + Object.entries(CONTROLLER_TYPES)
+        .map(([key, type]) => `<option value="${key}">🤖 ${type.name}</option>`)
+        .join('');
+    
+    ['controllerSelect', 'controllerControl'].forEach(id => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        select.innerHTML = options;
+        select.value = controllerType;
+    });
+    
+    renderBrakeSurfaceOptions();
+    updateControllerInputVisibility();
+}
+
+function renderBrakeSurfaceOptions() {
+    const select = document.getElementById('brakeSurfaceSelect');
+    if (!select) return;
+    
+    const current = select.value || 'SAND';
+    select.innerHTML = trackSurfaces
+        .map(surface => `<option value="${escapeHtml(surface.name)}">${escapeHtml(surface.emoji)} ${escapeHtml(surface.name)}</option>`)
+        .join('');
+    select.value = trackSurfaces.some(s => s.name === current) ? current : trackSurfaces[0].name;
+}
+
+/**
+ * Shows only the menu settings (marked with data-controllers) that the chosen controller uses.
+ */
+function updateControllerInputVisibility() {
+    document.querySelectorAll('[data-controllers]').forEach(el => {
+        el.style.display = el.dataset.controllers.split(' ').includes(controllerType) ? '' : 'none';
+    });
+}
+
+/**
+ * The chosen controller's options: the menu settings, overridden by a scenario driver of the
+ * same type.
+ */
+function getDriverOptions() {
+    const brakeSurfaceSelect = document.getElementById('brakeSurfaceSelect');
+    const scriptInput = document.getElementById('scriptInput');
+    const menuOptions = {
+        targetSpeed: getValidatedInput('targetSpeedInput', 1, 15),
+        kp: getValidatedInput('pidKpInput', 0, 0.5),
+        ki: getValidatedInput('pidKiInput', 0, 0.1),
+        kd: getValidatedInput('pidKdInput', 0, 0.02),
+        surface: brakeSurfaceSelect && brakeSurfaceSelect.value ? brakeSurfaceSelect.value : 'SAND',
+        approachSpeed: getValidatedInput('approachSpeedInput', 0, 8),
+        lookahead: getValidatedInput('lookaheadInput', 1, 40),
+        source: scriptInput ? scriptInput.value : ''
+    };
+    return scenarioDriver && scenarioDriver.type === controllerType
+        ? { ...menuOptions, ...scenarioDriver.options }
+        : menuOptions;
+}
+
+/**
+ * Builds a fresh controller of the chosen type from the menu settings. A script that does not
+ * compile gives a controller that never presses anything and reports the error in the HUD.
+ * Nothing is built while a menu is up, so a script (from a shared link, say) cannot run before Start.
+ */
+function createSelectedController() {
+    const type = CONTROLLER_TYPES[controllerType];
+    if (!type || !isRunActive()) return manualController;
+    
+    const options = getDriverOptions();
+    try {
+        return type.create(options);
+    } catch (err) {
+        return { name: type.name, error: `${err.name}: ${err.message}`, update: () => ({ throttle: 0, brake: 0 }) };
+    }
+}
+
+/**
+ * Switches who drives. Mid-run it takes effect immediately; from the menus the driver is only
+ * built when the run starts.
+ */
+function setControllerType(type) {
+    controllerType = type === 'manual' || CONTROLLER_TYPES[type] ? type : 'manual';
+    ['controllerSelect', 'controllerControl'].forEach(id => {
+        const select = document.getElementById(id);
+        if (select) select.value = controllerType;
+    });
+    
+    releasePedals();
+    updateControllerInputVisibility();
+    if (!isRunActive()) return;
+    if (state && state.steps > 0) view.driverChanged = true;
+    controller = createSelectedController();
+    rivals.forEach(rival => {
+        rival.controller = createRivalController();
+    });
+}
+
+function checkScript() {
+    try {
+        createScriptController({ source: document.getElementById('scriptInput').value });
+        showMenuStatus('scriptStatus', '✅ Script compiles.');
+    } catch (err) {
+        showMenuStatus('scriptStatus', '❌ The script does not compile:', [`${err.name}: ${err.message}`]);
+    }
+}
+
+// ===== PEDAL INPUT =====
+
+/** Moves a key-driven pedal toward fully pressed or released at the ramp rates. */
+function rampPedal(value, pressed, dt) {
+    return pressed ? Math.min(1, value + PEDAL_RAMP_UP * dt) : Math.max(0, value - PEDAL_RAMP_DOWN * dt);
+}
+
+function readTrigger(button) {
+    const value = button ? button.value : 0;
+    return value > GAMEPAD_DEADZONE ? value : 0;
+}
+
+/**
+ * Reads the first connected gamepad: right trigger is the throttle, left trigger the brake
+ * (buttons 7 and 6 in the standard mapping).
+ */
+function pollGamepad() {
+    const pads = navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+    const pad = pads.find(p => p && p.connected);
+    
+    pedals.gamepadId = pad ? pad.id : null;
+    pedals.gamepad.throttle = pad ? readTrigger(pad.buttons[7]) : 0;
+    pedals.gamepad.brake = pad ? readTrigger(pad.buttons[6]) : 0;
+}
+
+/**
+ * The on-screen sliders act like real pedals: they spring back to 0 when released.
+ */
+function setupPedalSlider(id, pedal) {
+    const slider = document.getElementById(id);
+    if (!slider) return;
+    
+    slider.addEventListener('input', () => {
+        pedals.slider[pedal] = parseFloat(slider.value) || 0;
+    });
+    const release = () => {
+        slider.value = '0';
+        pedals.slider[pedal] = 0;
+        slider.blur(); // Hand the arrow keys back to driving
+    };
+    ['pointerup', 'pointercancel', 'touchend'].forEach(type => slider.addEventListener(type, release));
+}
+
+function releasePedals() {
+    keys.up = false;
+    keys.down = false;
+    ['key', 'slider'].forEach(source => {
+        pedals[source].throttle = 0;
+        pedals[source].brake = 0;
+    });
+    ['throttleSlider', 'brakeSlider'].forEach(id => {
+        const slider = document.getElementById(id);
+        if (slider) slider.value = '0';
+    });
+    document.getElementById('accelerateBtn')?.classList.remove('active');
+    document.getElementById('brakeBtn')?.classList.remove('active');
+}
+
+// ===== COMPARISON =====
+
+function updateComparisonVisibility() {
+    const toggle = document.getElementById('compareToggle');
+    if (toggle) comparisonEnabled = toggle.checked;
+    const editor = document.getElementById('comparisonEditor');
+    if (editor) editor.style.display = comparisonEnabled ? 'block' : 'none';
+}
+
+function renderComparisonEditor() {
+    const list = document.getElementById('rivalList');
+    if (!list) return;
+    
+    const surfaceOptions = '<option value="">Track as built</option>' + trackSurfaces
+        .map(surface => `<option value="${escapeHtml(surface.name)}">${escapeHtml(surface.emoji)} ${escapeHtml(surface.name)}</option>`)
+        .join('');
+    const gravityOptions = '<option value="">Menu setting</option>' + getGravityPresets()
+        .map(preset => `<option value="${escapeHtml(preset.name)}">${escapeHtml(preset.emoji)} ${escapeHtml(preset.name)} (${preset.physics.gravity} m/s²)</option>`)
+        .join('');
+    
+    list.innerHTML = '';
+    comparisonCars.forEach((car, index) => {
+        const row = document.createElement('div');
+        row.className = 'segment-row rival-row';
+        row.dataset.index = String(index);
+        row.innerHTML = `
+            <span class="segment-number" style="color: ${CAR_COLORS[index + 1]};">${index + 2}</span>
+            <input type="text" data-field="name" maxlength="20" value="${escapeHtml(car.name)}" placeholder="Car ${index + 2}" title="Name">
+            <select data-field="surface" title="Surface for the whole track">${surfaceOptions}</select>
+            <input type="number" data-field="muScale" min="0.1" max="3" step="0.1" value="${car.muScale}" title="Multiplies every surface's μs and μk">
+            <input type="number" data-field="mass" min="20" max="50000" step="50" value="${car.mass === null ? '' : car.mass}" placeholder="menu" title="Mass (kg) - leave blank for the menu value">
+            <select data-field="gravity" title="Gravity">${gravityOptions}</select>
+            <button class="segment-btn" data-action="remove" title="Remove car">✕</button>
+        `;
+        row.querySelector('[data-field="surface"]').value = trackSurfaces.some(s => s.name === car.surface) ? car.surface : '';
+        row.querySelector('[data-field="gravity"]').value = getGravityPreset(car.gravity) ? car.gravity : '';
+        list.appendChild(row);
+    });
+    
+    const addButton = document.getElementById('addRivalBtn');
+    if (addButton) addButton.disabled = comparisonCars.length >= MAX_COMPARISON_CARS;
+}
+
+function handleRivalInput(e) {
+    const row = e.target.closest('.rival-row');
+    if (!row) return;
+    const car = comparisonCars[parseInt(row.dataset.index, 10)];
+    const field = e.target.dataset.field;
+    
+    if (field === 'name') {
+        car.name = e.target.value.trim();
+    } else if (field === 'surface' || field === 'gravity') {
+        car[field] = e.target.value;
+    } else if (field === 'muScale') {
+        const value = parseFloat(e.target.value);
+        if (!isNaN(value)) car.muScale = Math.min(3, Math.max(0.1, value));
+        if (e.type === 'change') renderComparisonEditor();
+    } else if (field === 'mass') {
+        const value = parseFloat(e.target.value);
+        car.mass = isNaN(value) ? null : Math.min(50000, Math.max(20, value));
+        if (e.type === 'change') renderComparisonEditor();
+    }
+}
+
+function handleRivalAction(e) {
+    const button = e.target.closest('.segment-btn');
+    const row = e.target.closest('.rival-row');
+    if (!button || !row) return;
+    
+    comparisonCars.splice(parseInt(row.dataset.index, 10), 1);
+    renderComparisonEditor();
+}
+
+function addComparisonCar() {
+    if (comparisonCars.length >= MAX_COMPARISON_CARS) return;
+    comparisonCars.push({ name: '', surface: '', muScale: 1, mass: null, gravity: '' });
+    renderComparisonEditor();
+}
+
+/** One-line summary of what a comparison setup changes, e.g. "🏖️ SAND · 🌙 Moon gravity". */
+function describeCarSetup(setup) {
+    const surface = setup.surface ? trackSurfaces.find(s => s.name === setup.surface) : null;
+    const parts = [surface ? `${surface.emoji} ${surface.name}` : 'Track as built'];
+    if (setup.muScale !== 1) parts.push(`μ × ${setup.muScale}`);
+    if (setup.mass !== null) parts.push(`${setup.mass} kg`);
+    const gravityPreset = getGravityPreset(setup.gravity);
+    if (gravityPreset) parts.push(`${gravityPreset.emoji} ${gravityPreset.name} gravity`);
+    return parts.join(' · ');
+}
+
+/**
+ * The current track for a comparison car: the same segment lengths and slopes, optionally
+ * paved with one surface throughout (over the surface patches too), with every μ scaled by
+ * setup.muScale.
  */
-function getValidatedInput(id, minVal, defaultVal) {
-    const inputEl = document.getElementById(id);
-    if (!inputEl) return defaultVal;
+function buildRivalTerrains(setup) {
+    const surface = setup.surface ? trackSurfaces.find(s => s.name === setup.surface) : null;
+    const scaleMu = piece => ({ ...piece, muStatic: piece.muStatic * setup.muScale, muKinetic: piece.muKinetic * setup.muScale });
+    return terrains.map(terrain => {
+        const { rollingResistance: _crr, ...layout } = terrain;
+        const base = surface ? { ...layout, ...surface } : terrain;
+        return { ...scaleMu(base), patches: surface ? [] : (terrain.patches || []).map(scaleMu) };
+    });
+}
 
-    let value = parseFloat(inputEl.value);
+/**
+ * Comparison cars share Car 1's driver: a fresh controller of the same type, or, when driving
+ * by hand, a copy of whatever pedals Car 1 was given in its latest step.
+ */
+function createRivalController() {
+    if (controllerType !== 'manual') return createSelectedController();
+    return {
+        name: 'Follows Car 1',
+        update: () => state.inputLog[state.inputLog.length - 1] || COAST
+    };
+}
 
-    if (isNaN(value) || value < minVal) {
-        inputEl.value = minVal > 0 ? minVal.toFixed(2) : defaultVal.toFixed(2);
-        return minVal > 0 ? minVal : defaultVal;
-    }
+function createRivals() {
+    if (!comparisonEnabled || experimentRun) return []; // An experiment is about one car
+    return comparisonCars.map((setup, index) => {
+        const preset = getGravityPreset(setup.gravity);
+        const rivalSimulation = createSimulation({
+            ...physicsConfig,
+            gravity: preset ? preset.physics.gravity : physicsConfig.gravity,
+            mass: setup.mass !== null ? setup.mass : physicsConfig.mass,
+            terrains: buildRivalTerrains(setup)
+        });
+        return {
+            name: setup.name || `Car ${index + 2}`,
+            setup: { ...setup },
+            color: CAR_COLORS[index + 1],
+            simulation: rivalSimulation,
+            state: rivalSimulation.getState(),
+            controller: createRivalController(),
+            idle: 0
+        };
+    });
+}
 
-    return value;
+/**
+ * Advances every comparison car by the same frame time as Car 1. After Car 1 finishes they
+ * carry on with the pedals where its driver left them.
+ */
+function stepRivals(frameTime) {
+    rivals.forEach(rival => {
+        if (rival.state.finished) return;
+        rival.simulation.step(frameTime, rival.controller);
+        rival.idle = Math.abs(rival.state.vel) < STOP_THRESHOLD ? rival.idle + frameTime : 0;
+    });
 }
 
-function updatePhysicsConstants() {
-    GRAVITY = getValidatedInput('gravityValue', 0.1, 9.8);
-    ENGINE_ACC = getValidatedInput('engineAccel', 1, 6);
-    CAR_MASS = getValidatedInput('carMass', 500, 1000);
-    MAX_SPEED = getValidatedInput('maxSpeed', 10, 50);
+/** True once every comparison car has finished or sat still for RIVAL_IDLE_LIMIT seconds. */
+function rivalsDone() {
+    return rivals.every(rival => rival.state.finished || rival.idle >= RIVAL_IDLE_LIMIT);
 }
 
-function updateTrackInputVisibility() {
-    const equalToggle = document.getElementById('equalLengthToggle');
-    if (!equalToggle) return;
+/** Car 1 and the comparison cars in lane order, as { name, setup, color, state, terrains }. */
+function getComparisonCars() {
+    const carOne = { name: 'Car 1', setup: null, color: CAR_COLORS[0], state: state, terrains: terrains };
+    return [carOne].concat(rivals.map(rival => ({
+        name: rival.name,
+        setup: rival.setup,
+        color: rival.color,
+        state: rival.state,
+        terrains: rival.simulation.terrains
+    })));
+}
 
-    const isTotalLength = equalToggle.checked;
-    
-    // Defensive check for input containers
-    const iceLengthDiv = document.getElementById('iceLength');
-    const sandLengthDiv = document.getElementById('sandLength');
-    const woodLengthDiv = document.getElementById('woodLength');
-    const totalTrackDiv = document.getElementById('totalTrackLength'); // Assuming this is the input container's parent or the input itself
+/** A car's position blended between its last two fixed physics steps. */
+function getRenderPosition(carState) {
+    return carState.prevPos + (carState.pos - carState.prevPos) * carState.alpha;
+}
 
-    if (iceLengthDiv) iceLengthDiv.style.display = isTotalLength ? 'none' : 'flex';
-    if (sandLengthDiv) sandLengthDiv.style.display = isTotalLength ? 'none' : 'flex';
-    if (woodLengthDiv) woodLengthDiv.style.display = isTotalLength ? 'none' : 'flex';
+// ===== PRESETS =====
 
-    // The totalTrackLength input is contained in a wrapper (e.g., div.input-group)
-    if (totalTrackDiv && totalTrackDiv.parentElement) {
-        totalTrackDiv.parentElement.style.display = isTotalLength ? 'flex' : 'none';
-    }
+/** Presets that set gravity, which the comparison cars can borrow it from. */
+function getGravityPresets() {
+    return presetLibrary.getAll().filter(preset => typeof preset.physics.gravity === 'number');
 }
 
-function updateTerrainStructure() {
-    const equalToggle = document.getElementById('equalLengthToggle');
-    const isTotalLength = equalToggle ? equalToggle.checked : false; // Default to false if missing
-
-    let lengthIce, lengthSand, lengthWood;
-    const minSegmentLength = 50;
+function getGravityPreset(name) {
+    const preset = name ? presetLibrary.get(name) : null;
+    return preset && typeof preset.physics.gravity === 'number' ? preset : null;
+}
 
-    if (isTotalLength) {
-        const totalLength = getValidatedInput('totalTrackLength', 300, 750);
-        const equalLength = Math.max(minSegmentLength, Math.floor(totalLength / 3));
-        lengthIce = lengthSand = lengthWood = equalLength;
-    } else {
-        lengthIce = getValidatedInput('iceLengthInput', minSegmentLength, 250);
-        lengthSand = getValidatedInput('sandLengthInput', minSegmentLength, 250);
-        lengthWood = getValidatedInput('woodLengthInput', minSegmentLength, 250);
-    }
+/** Tooltip text listing what a preset sets, e.g. "gravity 1.62, airDensity 0". */
+function describePreset(preset) {
+    return Object.entries(preset.physics)
+        .map(([key, value]) => `${key} ${value === null ? 'off' : value}`)
+        .join(', ');
+}
 
-    const newLengths = [
-        { name: 'ICE', length: lengthIce },
-        { name: 'SAND', length: lengthSand },
-        { name: 'WOOD', length: lengthWood }
-    ];
+/**
+ * Writes a preset's values into the menu. Planets set only gravity and air and vehicles only the
+ * car, so choosing one of each combines them.
+ */
+function applyPreset(presetName) {
+    const preset = presetLibrary.get(presetName);
+    if (!preset) return;
+    
+    setMenuPhysics(preset.physics);
+    // Air density has no menu input, so it goes straight into the run's settings
+    if ('airDensity' in preset.physics) physicsConfig.airDensity = preset.physics.airDensity;
+    showMenuStatus('presetStatus', `${preset.emoji} ${preset.name}: ${describePreset(preset)}.`);
+}
 
-    let currentPos = 0;
+function renderPresets() {
+    const container = document.getElementById('presetGroups');
+    if (!container) return;
     
-    terrains = terrains.map((terrain, index) => {
-        const newLength = newLengths[index].length;
-        const baseSlopes = BASE_SLOPES[terrain.name];
-        // 250 is the base length for all slope profiles
-        const baseTotalLength = 250; 
-        const scaleFactor = newLength / baseTotalLength;
+    container.innerHTML = '';
+    Object.entries(PRESET_KINDS).forEach(([kind, label]) => {
+        const presets = presetLibrary.getAll().filter(preset => preset.kind === kind);
+        const group = document.createElement('div');
+        group.className = 'preset-group';
+        group.innerHTML = `<div class="preset-group-label">${label}</div>`;
         
-        let segmentStart = currentPos;
-        const newSlopes = [];
-
-        // Scale and shift slopes proportionally
-        let baseSlopeStart = 0;
-        baseSlopes.forEach(baseSlope => {
-            const baseLength = baseSlope.length; // 50m for each segment
-            const newSlopeLength = baseLength * scaleFactor;
-
-            newSlopes.push({
-                start: segmentStart,
-                end: segmentStart + newSlopeLength,
-                angle: baseSlope.angle
-            });
-            segmentStart += newSlopeLength;
-        });
-
-        const newTerrain = {
-            ...terrain,
-            length: newLength,
-            start: currentPos,
-            end: currentPos + newLength,
-            slopes: newSlopes
-        };
+        const buttons = document.createElement('div');
+        buttons.className = 'preset-buttons';
+        buttons.innerHTML = presets.map(preset => {
+            const name = escapeHtml(preset.name);
+            if (kind !== 'custom') {
+                return `<button class="preset-btn" data-action="apply" data-preset="${name}" title="${escapeHtml(describePreset(preset))}">${escapeHtml(preset.emoji)} ${name}</button>`;
+            }
+            if (preset.name === renamingPresetName) {
+                return `<span class="user-preset" data-preset="${name}">
+                    <input type="text" class="preset-rename" maxlength="30" value="${name}" title="New name">
+                    <button class="segment-btn" data-action="confirm-rename" title="Save name">✓</button>
+                    <button class="segment-btn" data-action="cancel-rename" title="Cancel">↺</button>
+                </span>`;
+            }
+            return `<span class="user-preset" data-preset="${name}">
+                <button class="preset-btn" data-action="apply" title="${escapeHtml(describePreset(preset))}">${escapeHtml(preset.emoji)} ${name}</button>
+                <button class="segment-btn" data-action="rename" title="Rename preset">✎</button>
+                <button class="segment-btn" data-action="remove" title="Delete preset">✕</button>
+            </span>`;
+        }).join('') || '<span class="preset-empty">None yet - save the menu\'s values below to make one.</span>';
         
-        currentPos = newTerrain.end;
-        return newTerrain;
+        group.appendChild(buttons);
+        container.appendChild(group);
     });
+    
+    container.querySelector('.preset-rename')?.focus();
+}
 
-    state.trackLength = currentPos;
+/** Saves the menu's physics as a user preset, replacing a user preset of the same name. */
+function saveCurrentPreset() {
+    updatePhysicsConstants();
+    const { terrains: _omit, conditions: _conditions, ...physics } = physicsConfig;
+    const nameInput = document.getElementById('presetNameInput');
+    const name = nameInput ? nameInput.value.trim() : '';
+    const existing = presetLibrary.get(name) && !presetLibrary.isBuiltIn(name) ? name : null;
+    
+    const { preset, errors } = presetLibrary.save({ name: name, physics: physics }, existing);
+    if (!preset) {
+        showMenuStatus('presetStatus', '❌ Could not save the preset:', errors);
+        return;
+    }
+    
+    if (nameInput) nameInput.value = '';
+    renderPresets();
+    renderComparisonEditor();
+    showMenuStatus('presetStatus', `✅ ${existing ? 'Updated' : 'Saved'} "${preset.name}".`);
 }
 
-function applyPreset(presetName) {
-    const presets = {
-        'Earth': { gravity: 9.81, accel: 6, mass: 1000, maxSpeed: 50 },
-        'Moon': { gravity: 1.62, accel: 8, mass: 800, maxSpeed: 60 },
-        'Mars': { gravity: 3.71, accel: 5, mass: 1200, maxSpeed: 40 },
-        'Performance': { gravity: 9.81, accel: 15, mass: 700, maxSpeed: 100 }
-    };
+function renamePreset(name, newName) {
+    const { preset, errors } = presetLibrary.rename(name, newName);
+    if (!preset) {
+        showMenuStatus('presetStatus', '❌ Could not rename the preset:', errors);
+        return;
+    }
     
-    const preset = presets[presetName] || presets['Earth'];
+    comparisonCars.forEach(car => {
+        if (car.gravity === name) car.gravity = preset.name;
+    });
+    renamingPresetName = null;
+    renderPresets();
+    renderComparisonEditor();
+    showMenuStatus('presetStatus', `✅ Renamed "${name}" to "${preset.name}".`);
+}
 
-    if (document.getElementById('gravityValue')) document.getElementById('gravityValue').value = preset.gravity.toFixed(2);
-    if (document.getElementById('engineAccel')) document.getElementById('engineAccel').value = preset.accel.toFixed(2);
-    if (document.getElementById('carMass')) document.getElementById('carMass').value = preset.mass.toFixed(0);
-    if (document.getElementById('maxSpeed')) document.getElementById('maxSpeed').value = preset.maxSpeed.toFixed(0);
+function handlePresetAction(e) {
+    const button = e.target.closest('[data-action]');
+    const item = button && button.closest('[data-preset]');
+    if (!item) return;
+    const name = item.dataset.preset;
+    
+    switch (button.dataset.action) {
+        case 'apply':
+            applyPreset(name);
+            break;
+        case 'rename':
+            renamingPresetName = name;
+            renderPresets();
+            break;
+        case 'confirm-rename':
+            renamePreset(name, item.querySelector('.preset-rename').value);
+            break;
+        case 'cancel-rename':
+            renamingPresetName = null;
+            renderPresets();
+            break;
+        case 'remove':
+            presetLibrary.remove(name);
+            renderPresets();
+            renderComparisonEditor();
+            showMenuStatus('presetStatus', `🗑️ Deleted "${name}".`);
+            break;
+    }
 }
 
-function getCurrentTerrain() {
-    return terrains.find(t => state.pos >= t.start && state.pos < t.end) || terrains[terrains.length - 1];
+function getCurrentTerrain(position = state.pos) {
+    return terrainAt(terrains, position);
 }
 
-function getCurrentSlope(terrain) {
-    const slope = terrain.slopes.find(s => state.pos >= s.start && state.pos < s.end);
-    return slope ? slope.angle : 0;
+function getCurrentSlope(terrain, position = state.pos) {
+    return slopeAt(terrain, position);
 }
 
 function getTerrainHeightAt(position) {
-    if (position <= 0) return 0;
-
-    let accumulatedHeight = 0;
-    
-    for (const terrain of terrains) {
-        if (position < terrain.start) break;
-
-        for (const slope of terrain.slopes) {
-            
-            if (position <= slope.start) {
-                break; 
-            } else if (position >= slope.end) {
-                const segmentLength = slope.end - slope.start;
-                accumulatedHeight += segmentLength * Math.tan((slope.angle * Math.PI) / 180);
-            } else {
-                const distanceInSlope = position - slope.start;
-                accumulatedHeight += distanceInSlope * Math.tan((slope.angle * Math.PI) / 180);
-                return accumulatedHeight;
-            }
-        }
-    }
-    
-    return accumulatedHeight;
+    return terrainHeightAt(terrains, position);
 }
 
 // ====================================================================
-// ===== PHYSICS & UI UPDATE ==========================================
+// ===== UI UPDATE ====================================================
 // ====================================================================
 
-function updatePhysics(dt) {
-    if (state.paused || state.finished) return;
-    
-    const terrain = getCurrentTerrain();
-    const slopeAngle = getCurrentSlope(terrain);
-    const mu = terrain.baseMu;
-    
-    let acc = 0;
-    
-    if (keys.up) {
-        acc += ENGINE_ACC;
-    }
-    if (keys.down) {
-        acc += BRAKE_ACC;
-    }
-    
-    const angleRad = (slopeAngle * Math.PI) / 180;
-    
-    // Friction
-    if (Math.abs(state.vel) > 0.01) {
-        const frictionAcc = mu * GRAVITY * Math.cos(angleRad) * Math.sign(state.vel);
-        acc -= frictionAcc;
-    }
-    
-    // Gravity component on slope
-    const gravityComponent = GRAVITY * Math.sin(angleRad);
-    acc -= gravityComponent;
-    
-    state.acc = acc;
-    state.vel += acc * dt;
-    
-    // Clamp velocity
-    if (state.vel < 0) state.vel = 0;
-    if (state.vel > MAX_SPEED) state.vel = MAX_SPEED;
-    
-    // Max Speed Tracking
-    if (state.vel > state.maxSpeed) state.maxSpeed = state.vel;
-    
-    state.pos += state.vel * dt;
-    state.time += dt;
-    
-    if (state.vel > 1 && Math.random() < 0.3) {
-        const carScreenX = gameCanvas.width / 2;
-        const carScreenY = gameCanvas.height * 0.7;
-        createParticles(carScreenX - 20, carScreenY + 15, terrain.color, 2);
-    }
-    
-    // Check if finished
-    if (state.pos >= state.trackLength) {
-        state.pos = state.trackLength;
-        state.vel = 0;
-        state.finished = true;
-        showResults();
-    }
-    
-    // Record history
-    if (state.history.length === 0 || state.time - state.history[state.history.length - 1].t > 0.2) {
-        state.history.push({
-            t: state.time,
-            pos: state.pos,
-            vel: state.vel,
-            mu: mu,
-            slope: slopeAngle
-        });
-    }
-    
-    // Camera follow
-    const targetOffset = state.pos;
-    state.cameraOffset += (targetOffset - state.cameraOffset) * 0.1;
-    
-    updateUI(terrain, mu, slopeAngle, gravityComponent);
+/**
+ * Fills the education panel with one card per surface on the current track.
+ */
+function renderTerrainCards() {
+    const container = document.getElementById('terrainCards');
+    if (!container) return;
+    
+    const surfaces = terrains.filter((terrain, index) => terrains.findIndex(t => t.name === terrain.name) === index);
+    
+    container.innerHTML = '';
+    surfaces.forEach(surface => {
+        const angles = terrains
+            .filter(t => t.name === surface.name)
+            .flatMap(t => t.slopes.map(s => s.angle));
+        const grip = surface.muKinetic < 0.3 ? 'Low friction' : surface.muKinetic < 0.6 ? 'Medium friction' : 'High friction';
+        const crr = typeof surface.rollingResistance === 'number' ? ` | Crr = ${surface.rollingResistance.toFixed(3)}` : '';
+        const card = document.createElement('div');
+        card.className = 'terrain-card';
+        card.style.borderLeftColor = surface.darkColor;
+        card.innerHTML = `
+            <div class="terrain-header">${escapeHtml(surface.emoji)} ${escapeHtml(surface.name)}</div>
+            <div class="terrain-detail">μs = ${surface.muStatic.toFixed(2)} | μk = ${surface.muKinetic.toFixed(2)}${crr} | ${grip}</div>
+            <div class="terrain-detail">Slopes: ${Math.min(...angles)}° to ${Math.max(...angles) > 0 ? '+' : ''}${Math.max(...angles)}°</div>
+        `;
+        container.appendChild(card);
+    });
 }
 
-function updateUI(terrain, mu, slopeAngle, gravityForce) {
-    if (document.getElementById('terrainName')) document.getElementById('terrainName').textContent = `${terrain.emoji} ${terrain.name}`;
+/** "🪵 WOOD", or in a transition zone "🪵 WOOD 70% + 🧊 ICE 30%". */
+function describeSurfaceMix(mix) {
+    const shown = mix.filter(entry => entry.weight >= 0.005).sort((a, b) => b.weight - a.weight);
+    if (shown.length === 1) return `${shown[0].surface.emoji} ${shown[0].surface.name}`;
+    return shown.map(entry => `${entry.surface.emoji} ${entry.surface.name} ${Math.round(entry.weight * 100)}%`).join(' + ');
+}
+
+function updateUI() {
+    const terrain = state.forces ? state.forces.terrain : getCurrentTerrain();
+    const slopeAngle = state.forces ? state.forces.slope : getCurrentSlope(terrain);
+    const condition = conditionsAt(state.conditions, state.pos);
+    const underfoot = state.forces ? null : surfaceAt(terrains, state.pos); // Before the first step
+    const baseMu = state.forces ? state.forces.baseMu : underfoot.muStatic;
+    const mu = state.forces ? state.forces.mu : baseMu * condition.muFactor;
+    const conditionLabel = condition.active.map(key => `${SURFACE_CONDITIONS[key].emoji} ${SURFACE_CONDITIONS[key].name}`).join(' ');
+    
+    const surfaceLabel = describeSurfaceMix(state.forces ? state.forces.surfaceMix : underfoot.mix);
+    if (document.getElementById('terrainName')) document.getElementById('terrainName').textContent = `${surfaceLabel}${conditionLabel ? ' · ' + conditionLabel : ''}`;
     if (document.getElementById('distanceValue')) document.getElementById('distanceValue').textContent = state.pos.toFixed(1) + ' m';
     if (document.getElementById('progressValue')) document.getElementById('progressValue').textContent = ((state.pos / state.trackLength) * 100).toFixed(1) + '%';
     if (document.getElementById('timeValue')) document.getElementById('timeValue').textContent = state.time.toFixed(1) + ' s';
     if (document.getElementById('speedMs')) document.getElementById('speedMs').textContent = state.vel.toFixed(2) + ' m/s';
     if (document.getElementById('accelValue')) document.getElementById('accelValue').textContent = state.acc.toFixed(2) + ' m/s²';
-    if (document.getElementById('frictionValue')) document.getElementById('frictionValue').textContent = mu.toFixed(2);
+    if (document.getElementById('frictionValue')) document.getElementById('frictionValue').textContent = `${baseMu.toFixed(2)} → ${mu.toFixed(2)} (${state.frictionMode === 'static' ? 'μs' : 'μk'})`;
     if (document.getElementById('slopeValue')) document.getElementById('slopeValue').textContent = slopeAngle.toFixed(1) + '°';
-    if (gravityValueDisplay) gravityValueDisplay.textContent = gravityForce.toFixed(2) + ' m/s²'; 
     
-    const speedKmh = state.vel * 3.6;
+    const forces = state.forces;
+    if (forces) {
+        const forceFields = {
+            engineForceValue: forces.engine,
+            brakeForceValue: forces.brake,
+            normalForceValue: forces.normal,
+            frictionForceValue: forces.friction,
+            gravityValueDisplay: forces.gravity,
+            dragForceValue: forces.drag,
+            rollingForceValue: forces.rolling,
+            netForceValue: forces.net
+        };
+        Object.entries(forceFields).forEach(([id, value]) => {
+            const el = document.getElementById(id);
+            if (el) el.textContent = value.toFixed(0) + ' N';
+        });
+        if (document.getElementById('massAccelValue')) document.getElementById('massAccelValue').textContent = (simulation.config.mass * state.acc).toFixed(0) + ' N';
+    }
+    
+    const driverEl = document.getElementById('driverValue');
+    if (driverEl) {
+        const gamepadLabel = controller === manualController && pedals.gamepadId ? ' + 🎮' : '';
+        driverEl.textContent = controller.error ? `⚠️ ${controller.error}` : controller.name + gamepadLabel;
+        driverEl.title = controller.error || pedals.gamepadId || '';
+    }
+    
+    // Pedal positions actually applied in the latest physics step
+    const applied = state.inputLog[state.inputLog.length - 1] || { throttle: 0, brake: 0 };
+    ['throttle', 'brake'].forEach(pedal => {
+        const percent = (applied[pedal] * 100).toFixed(0) + '%';
+        if (document.getElementById(pedal + 'Meter')) document.getElementById(pedal + 'Meter').style.width = percent;
+        if (document.getElementById(pedal + 'Value')) document.getElementById(pedal + 'Value').textContent = percent;
+    });
+    
+    updateEnergyPanel();
+    updateBrakeReadout();
+    updateDrivetrainReadout();
+    updateGhostDelta();
+    
+    const speedKmh = Math.abs(state.vel) * 3.6;
     if (document.getElementById('speedDigital')) document.getElementById('speedDigital').textContent = speedKmh.toFixed(0) + ' km/h';
     
     drawSpeedometer(speedKmh);
@@ -430,88 +2127,95 @@ function drawSpeedometer(speedKmh) {
     speedCx.stroke();
 }
 
-function drawLiveGraph() {
-    if (!graphCx || !graphCanvas) return;
+/** Every surface on the track, segments' and patches', once each in the order they come. */
+function getTrackSurfacesUsed() {
+    const all = terrains.reduce((list, terrain) => list.concat(terrain, terrain.patches || []), []);
+    return all.filter((surface, index) => all.findIndex(s => s.name === surface.name) === index);
+}
 
-    const w = graphCanvas.width;
-    const h = graphCanvas.height;
-    
-    graphCx.fillStyle = 'rgba(0, 0, 0, 0.5)';
-    graphCx.fillRect(0, 0, w, h);
-    
-    if (state.history.length < 2) return;
-    
-    const recentHistory = state.history.slice(-50);
-    const maxV = Math.max(...recentHistory.map(p => p.vel), 10);
-    const maxMu = 1.0;
-    
-    // Draw grid
-    graphCx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
-    graphCx.lineWidth = 1;
-    for (let i = 0; i <= 4; i++) {
-        const y = (i / 4) * h;
-        graphCx.beginPath();
-        graphCx.moveTo(0, y);
-        graphCx.lineTo(w, y);
-        graphCx.stroke();
+/**
+ * Shaded surface stretches for a chart: where each surface lies on a distance axis, or when the
+ * car was on it on a time axis.
+ */
+function getTerrainBands(xAxis, samples) {
+    if (xAxis === 'distance') {
+        const trackEnd = terrains[terrains.length - 1].end;
+        return surfaceStretches(terrains, 0, trackEnd).map(({ start, end, surface }) => ({
+            from: Math.max(0, start),
+            to: Math.min(trackEnd, end),
+            color: surface.color,
+            label: `${surface.emoji} ${surface.name}`
+        }));
     }
-    
-    // Draw speed line
-    graphCx.strokeStyle = '#4ade80';
-    graphCx.lineWidth = 2;
-    graphCx.beginPath();
-    recentHistory.forEach((p, i) => {
-        const x = (i / (recentHistory.length - 1)) * w;
-        const y = h - (p.vel / maxV) * h;
-        if (i === 0) graphCx.moveTo(x, y);
-        else graphCx.lineTo(x, y);
+    const surfaces = getTrackSurfacesUsed();
+    const bands = [];
+    samples.forEach(p => {
+        const last = bands[bands.length - 1];
+        if (last && last.name === p.terrain) {
+            last.to = p.t;
+            return;
+        }
+        const terrain = surfaces.find(t => t.name === p.terrain);
+        bands.push({
+            name: p.terrain,
+            from: last ? last.to : p.t,
+            to: p.t,
+            color: terrain ? terrain.color : '#fff',
+            label: terrain ? `${terrain.emoji} ${terrain.name}` : p.terrain
+        });
     });
-    graphCx.stroke();
-    
-    // Draw friction line
-    graphCx.strokeStyle = '#f59e0b';
-    graphCx.lineWidth = 2;
-    graphCx.beginPath();
-    recentHistory.forEach((p, i) => {
-        const x = (i / (recentHistory.length - 1)) * w;
-        const y = h - (p.mu / maxMu) * h;
-        if (i === 0) graphCx.moveTo(x, y);
-        else graphCx.lineTo(x, y);
+    return bands;
+}
+
+/** Hands a chart the primary car's history, the comparison cars' as overlays, and surface bands. */
+function setChartRun(chart) {
+    chart.setData(state.history, {
+        overlays: rivals.map(rival => ({ name: rival.name, color: rival.color, samples: rival.state.history })),
+        bands: getTerrainBands(chart.getXAxis(), state.history)
     });
-    graphCx.stroke();
+}
+
+function drawLiveGraph() {
+    if (!liveChart) return;
+    setChartRun(liveChart);
+    liveChart.draw();
 }
 
 function renderSky() {
     if (!skyCx || !skyCanvas) return;
-    // Sky gradient
+    const visuals = CONDITION_VISUALS[state.conditions.weather] || CONDITION_VISUALS.dry;
+    
+    // Sky gradient (darker and greyer in bad weather)
     const gradient = skyCx.createLinearGradient(0, 0, 0, skyCanvas.height);
-    gradient.addColorStop(0, '#87CEEB');
-    gradient.addColorStop(0.7, '#E0F6FF');
-    gradient.addColorStop(1, '#B0E0E6');
+    gradient.addColorStop(0, visuals.sky[0]);
+    gradient.addColorStop(0.7, visuals.sky[1]);
+    gradient.addColorStop(1, visuals.sky[2]);
     skyCx.fillStyle = gradient;
     skyCx.fillRect(0, 0, skyCanvas.width, skyCanvas.height);
     
     // Sun
-    skyCx.fillStyle = '#FFD700';
-    skyCx.shadowBlur = 30;
-    skyCx.shadowColor = '#FFD700';
-    skyCx.beginPath();
-    skyCx.arc(skyCanvas.width * 0.8, skyCanvas.height * 0.2, 40, 0, Math.PI * 2);
-    skyCx.fill();
-    skyCx.shadowBlur = 0;
+    if (visuals.sun) {
+        skyCx.fillStyle = '#FFD700';
+        skyCx.shadowBlur = 30;
+        skyCx.shadowColor = '#FFD700';
+        skyCx.beginPath();
+        skyCx.arc(skyCanvas.width * 0.8, skyCanvas.height * 0.2, 40, 0, Math.PI * 2);
+        skyCx.fill();
+        skyCx.shadowBlur = 0;
+    }
     
     // Clouds with parallax
     clouds.forEach(cloud => {
         cloud.x -= cloud.speed * (state.vel * 0.1);
         if (cloud.x < -200) cloud.x = skyCanvas.width + 200;
         
-        drawCloud(cloud.x, cloud.y, cloud.scale);
+        drawCloud(cloud.x, cloud.y, cloud.scale, visuals.cloud);
     });
 }
 
-function drawCloud(x, y, scale) {
+function drawCloud(x, y, scale, color = 'rgba(255, 255, 255, 0.8)') {
     if (!skyCx) return;
-    skyCx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    skyCx.fillStyle = color;
     skyCx.beginPath();
     skyCx.arc(x, y, 30 * scale, 0, Math.PI * 2);
     skyCx.arc(x + 25 * scale, y, 35 * scale, 0, Math.PI * 2);
@@ -520,8 +2224,15 @@ function drawCloud(x, y, scale) {
     skyCx.fill();
 }
 
-function renderGame() {
+/**
+ * Draws the track and car at renderPos, which gameLoop interpolates between the last two
+ * fixed physics steps so motion stays smooth at any display frame rate.
+ */
+function renderGame(renderPos = state.pos) {
     if (!gameCx || !gameCanvas) return;
+    
+    // Camera follow
+    view.cameraOffset += (renderPos - view.cameraOffset) * 0.1;
 
     gameCx.clearRect(0, 0, gameCanvas.width, gameCanvas.height);
     
@@ -531,66 +2242,49 @@ function renderGame() {
     const scale = screenWidth / 300; // Show 300m of track at once
     
     // Calculate visible range
-    const visibleStart = Math.max(0, state.cameraOffset - 150);
-    const visibleEnd = Math.min(state.trackLength, state.cameraOffset + 150);
+    const visibleStart = Math.max(0, view.cameraOffset - 150);
+    const visibleEnd = Math.min(state.trackLength, view.cameraOffset + 150);
+    
+    // Draw the surface: each segment with its patches cut in, then the transition zones blended over them
+    surfaceStretches(terrains, visibleStart, visibleEnd).forEach(stretch => {
+        const from = Math.max(stretch.start, visibleStart);
+        const to = Math.min(stretch.end, visibleEnd);
+        fillTrackStretch(from, to, stretch.surface.color, stretch.surface.darkColor, scale, groundY);
+    });
+    getTransitionZones(visibleStart, visibleEnd).forEach(zone => drawTransitionZone(zone, scale, groundY));
     
-    // Draw terrain segments with smooth transitions
+    // Label each segment at its start and each patch over its middle
+    gameCx.fillStyle = '#000';
+    gameCx.textAlign = 'center';
     terrains.forEach(terrain => {
-        if (terrain.end < visibleStart || terrain.start > visibleEnd) return;
-        
-        let startX = Math.max(terrain.start, visibleStart);
-        let endX = Math.min(terrain.end, visibleEnd);
-        
-        gameCx.fillStyle = terrain.color;
-        gameCx.strokeStyle = terrain.darkColor;
-        gameCx.lineWidth = 3;
-        
-        gameCx.beginPath();
-        
-        let startHeight = getTerrainHeightAt(startX);
-        let startScreenX = (startX - state.cameraOffset + 150) * scale;
-        
-        gameCx.moveTo(startScreenX, screenHeight); // Bottom-left corner
-        gameCx.lineTo(startScreenX, groundY - startHeight * scale); // Top-left corner (start of slope)
-
-        // Draw smooth line through the segment using small steps (2m)
-        const step = 2;
-        for (let pos = startX; pos <= endX + step; pos += step) {
-            const actualPos = Math.min(pos, endX);
-            const height = getTerrainHeightAt(actualPos);
-            const screenX = (actualPos - state.cameraOffset + 150) * scale;
-            gameCx.lineTo(screenX, groundY - height * scale);
-        }
-        
-        let endHeight = getTerrainHeightAt(endX);
-        let endScreenX = (endX - state.cameraOffset + 150) * scale;
-        
-        gameCx.lineTo(endScreenX, groundY - endHeight * scale);
-        gameCx.lineTo(endScreenX, screenHeight); // Bottom-right corner
-        gameCx.closePath();
-        
-        gameCx.fill();
-        
-        // Redraw just the top border
-        gameCx.beginPath();
-        gameCx.moveTo(startScreenX, groundY - startHeight * scale);
-        for (let pos = startX; pos <= endX + step; pos += step) {
-            const actualPos = Math.min(pos, endX);
-            const height = getTerrainHeightAt(actualPos);
-            const screenX = (actualPos - state.cameraOffset + 150) * scale;
-            gameCx.lineTo(screenX, groundY - height * scale);
-        }
-        gameCx.stroke();
-        
-        // Draw terrain label
         if (terrain.start >= visibleStart && terrain.start <= visibleEnd) {
-            const labelX = (terrain.start - state.cameraOffset + 150) * scale;
+            const labelX = (terrain.start - view.cameraOffset + 150) * scale;
             const labelHeight = getTerrainHeightAt(terrain.start);
-            gameCx.fillStyle = '#000';
             gameCx.font = 'bold 20px Arial';
-            gameCx.textAlign = 'center';
             gameCx.fillText(terrain.emoji + ' ' + terrain.name, labelX + 50, groundY - labelHeight * scale - 40);
         }
+        (terrain.patches || []).forEach(patch => {
+            const midPos = (patch.start + patch.end) / 2;
+            if (midPos < visibleStart || midPos > visibleEnd) return;
+            gameCx.font = 'bold 14px Arial';
+            gameCx.fillText(`${patch.emoji} ${patch.name}`, (midPos - view.cameraOffset + 150) * scale, groundY - getTerrainHeightAt(midPos) * scale - 40);
+        });
+    });
+    
+    // Condition sheen: the weather glazes the whole visible track, patches just their stretch
+    const weatherVisuals = CONDITION_VISUALS[state.conditions.weather] || CONDITION_VISUALS.dry;
+    if (weatherVisuals.sheen) strokeTrackSurface(visibleStart, visibleEnd, weatherVisuals.sheen, 3, scale, groundY);
+    (state.conditions.patches || []).forEach(patch => {
+        const visuals = CONDITION_VISUALS[patch.condition];
+        const from = Math.max(patch.start, visibleStart);
+        const to = Math.min(patch.end, visibleEnd);
+        if (!visuals || to <= from) return;
+        
+        strokeTrackSurface(from, to, visuals.sheen, 8, scale, groundY);
+        const midPos = (from + to) / 2;
+        gameCx.font = '20px Arial';
+        gameCx.textAlign = 'center';
+        gameCx.fillText(SURFACE_CONDITIONS[patch.condition].emoji, (midPos - view.cameraOffset + 150) * scale, groundY - getTerrainHeightAt(midPos) * scale - 15);
     });
     
     // Draw distance markers
@@ -598,7 +2292,7 @@ function renderGame() {
     gameCx.font = 'bold 16px Arial';
     gameCx.textAlign = 'center';
     for (let i = Math.floor(visibleStart / 50) * 50; i <= visibleEnd; i += 50) {
-        const x = (i - state.cameraOffset + 150) * scale;
+        const x = (i - view.cameraOffset + 150) * scale;
         const currentHeight = getTerrainHeightAt(i);
         const y = groundY - currentHeight * scale;
         
@@ -612,14 +2306,56 @@ function renderGame() {
         gameCx.stroke();
     }
     
+    // Draw ghost car (behind the live car)
+    if (ghostRun) {
+        const ghostPos = getGhostPositionAt(state.time + state.alpha * FIXED_DT);
+        const ghostX = (ghostPos - view.cameraOffset + 150) * scale;
+        const ghostSlope = getCurrentSlope(getCurrentTerrain(ghostPos), ghostPos);
+        const ghostY = groundY - getTerrainHeightAt(ghostPos) * scale - 25;
+        drawCar(ghostX, ghostY, ghostSlope, true);
+    }
+    
+    // Comparison cars sharing the main track (overlay layout)
+    if (comparisonLayout === 'overlay') {
+        rivals.forEach(rival => {
+            const rivalPos = getRenderPosition(rival.state);
+            const rivalX = (rivalPos - view.cameraOffset + 150) * scale;
+            if (rivalX < -50 || rivalX > screenWidth + 50) return;
+            const rivalY = groundY - getTerrainHeightAt(rivalPos) * scale - 25;
+            drawCar(rivalX, rivalY, getCurrentSlope(getCurrentTerrain(rivalPos), rivalPos), false, rival.color, rival.state.vel, rival.state.wheelspin && !rival.state.finished);
+            gameCx.fillStyle = rival.color;
+            gameCx.font = 'bold 14px Arial';
+            gameCx.textAlign = 'center';
+            gameCx.fillText(rival.name, rivalX, rivalY - 30);
+        });
+    }
+    
     // Draw car
-    const carX = screenWidth / 2;
-    const currentTerrain = getCurrentTerrain();
-    const currentSlope = getCurrentSlope(currentTerrain);
-    const terrainHeight = getTerrainHeightAt(state.pos);
+    const carX = (renderPos - view.cameraOffset + 150) * scale;
+    const currentTerrain = getCurrentTerrain(renderPos);
+    const currentSlope = getCurrentSlope(currentTerrain, renderPos);
+    const currentSurface = surfaceAt(terrains, renderPos).surface;
+    const terrainHeight = getTerrainHeightAt(renderPos);
     const carY = groundY - terrainHeight * scale - 25;
 
-    drawCar(carX, carY, currentSlope);
+    drawCar(carX, carY, currentSlope, false, CAR_COLORS[0], state.vel, state.wheelspin && !state.finished);
+    if (view.showForces) drawFreeBodyDiagram(carX, carY, currentSlope);
+    
+    if (!view.paused && Math.abs(state.vel) > 1 && Math.random() < 0.3) {
+        createParticles(carX - 20, carY + 40, currentSurface.color, 2);
+    }
+    // Locked wheels skid and smoke
+    if (!view.paused && state.brakeMode === 'locked' && Math.abs(state.vel) > 1) {
+        createParticles(carX - 20, carY + 40, 'rgba(75, 85, 99, 0.8)', 2);
+    }
+    // Spinning wheels throw up the surface they are digging into
+    if (!view.paused && state.wheelspin && !state.finished) {
+        createParticles(carX - 15, carY + 37, currentSurface.darkColor, 3);
+    }
+    
+    if (view.stopPrediction && !view.stopPrediction.beyondFinish) {
+        drawStopMarker(view.stopPrediction.position, scale, groundY);
+    }
     
     // Update and draw particles
     particles.forEach((p, i) => {
@@ -633,26 +2369,307 @@ function renderGame() {
             return;
         }
         
-        gameCx.fillStyle = `rgba(255, 255, 255, ${p.life * 0.5})`;
+        gameCx.globalAlpha = p.life * 0.7;
+        gameCx.fillStyle = p.color;
         gameCx.beginPath();
         gameCx.arc(p.x, p.y, p.size, 0, Math.PI * 2);
         gameCx.fill();
+        gameCx.globalAlpha = 1;
+    });
+    
+    if (weatherVisuals.precipitation) drawPrecipitation(weatherVisuals.precipitation);
+    if (comparisonLayout === 'lanes' && rivals.length) drawComparisonLanes(visibleStart, visibleEnd, scale);
+}
+
+/**
+ * Comparison lanes across the top of the view: every car on a strip of its own track, coloured
+ * by surface, at the main view's camera and scale. A car out of view gets an arrow at the edge.
+ */
+function drawComparisonLanes(visibleStart, visibleEnd, scale) {
+    const laneHeight = 30;
+    const width = gameCanvas.width;
+    
+    getComparisonCars().forEach((car, index) => {
+        const top = 10 + index * (laneHeight + 6);
+        gameCx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+        gameCx.fillRect(0, top, width, laneHeight);
+        
+        car.terrains.forEach(terrain => {
+            const from = Math.max(terrain.start, visibleStart);
+            const to = Math.min(terrain.end, visibleEnd);
+            if (to <= from) return;
+            gameCx.fillStyle = terrain.color;
+            gameCx.fillRect((from - view.cameraOffset + 150) * scale, top + laneHeight - 6, (to - from) * scale, 6);
+        });
+        
+        const pos = getRenderPosition(car.state);
+        const x = (pos - view.cameraOffset + 150) * scale;
+        gameCx.fillStyle = car.color;
+        gameCx.font = 'bold 13px Arial';
+        gameCx.textAlign = 'left';
+        gameCx.fillText(`${car.name} · ${car.state.pos.toFixed(0)} m${car.state.finished ? ' 🏁' : ''}`, 8, top + 18);
+        
+        if (x < 0 || x > width) {
+            gameCx.textAlign = x < 0 ? 'left' : 'right';
+            gameCx.fillText(x < 0 ? '◀' : '▶', x < 0 ? 4 : width - 4, top + laneHeight - 10);
+            return;
+        }
+        gameCx.save();
+        gameCx.translate(x, top + 14);
+        gameCx.scale(0.5, 0.5);
+        drawCar(0, 0, 0, false, car.color, car.state.vel, car.state.wheelspin && !car.state.finished);
+        gameCx.restore();
+    });
+}
+
+/**
+ * Fills the ground from one track position to another and outlines its top; fill and stroke may
+ * be colours or gradients.
+ */
+function fillTrackStretch(from, to, fill, stroke, scale, groundY) {
+    if (to <= from) return;
+    const step = 2; // m between the points of the outline
+    const outline = [];
+    for (let pos = from; pos <= to + step; pos += step) {
+        const actualPos = Math.min(pos, to);
+        outline.push({ x: (actualPos - view.cameraOffset + 150) * scale, y: groundY - getTerrainHeightAt(actualPos) * scale });
+    }
+    
+    gameCx.fillStyle = fill;
+    gameCx.beginPath();
+    gameCx.moveTo(outline[0].x, gameCanvas.height);
+    outline.forEach(point => gameCx.lineTo(point.x, point.y));
+    gameCx.lineTo(outline[outline.length - 1].x, gameCanvas.height);
+    gameCx.closePath();
+    gameCx.fill();
+    
+    gameCx.strokeStyle = stroke;
+    gameCx.lineWidth = 3;
+    gameCx.beginPath();
+    outline.forEach((point, i) => (i === 0 ? gameCx.moveTo(point.x, point.y) : gameCx.lineTo(point.x, point.y)));
+    gameCx.stroke();
+}
+
+/**
+ * Where μ is blending between surfaces between two positions: { start, end } zones around each
+ * change of surface, merged where they overlap. None without a transition.
+ */
+function getTransitionZones(from, to) {
+    const transition = terrains.length ? terrains[0].transition : null;
+    if (!transition) return [];
+    
+    const half = transition.length / 2;
+    const trackEnd = terrains[terrains.length - 1].end;
+    const zones = [];
+    surfaceStretches(terrains, from - half, to + half).forEach((stretch, i, stretches) => {
+        const next = stretches[i + 1];
+        if (!next || next.surface.name === stretch.surface.name) return;
+        const start = Math.max(0, stretch.end - half);
+        const end = Math.min(trackEnd, stretch.end + half);
+        const last = zones[zones.length - 1];
+        if (last && start <= last.end) last.end = Math.max(last.end, end);
+        else zones.push({ start: start, end: end });
+    });
+    return zones;
+}
+
+/** The weighted average of a surface mix's colours (key 'color' or 'darkColor'), as CSS rgb(). */
+function mixSurfaceColors(mix, key) {
+    const rgb = [0, 0, 0];
+    mix.forEach(({ surface, weight }) => {
+        const hex = surface[key].slice(1);
+        const digits = hex.length === 3 ? hex.split('').map(digit => digit + digit).join('') : hex;
+        [0, 2, 4].forEach((offset, i) => { rgb[i] += parseInt(digits.slice(offset, offset + 2), 16) * weight; });
+    });
+    return `rgb(${rgb.map(Math.round).join(', ')})`;
+}
+
+/**
+ * Paints a transition zone with the surfaces blended metre by metre exactly as the physics blends
+ * their μ (see surfaceAt), so the colour shows how far the change has got.
+ */
+function drawTransitionZone(zone, scale, groundY) {
+    const startX = (zone.start - view.cameraOffset + 150) * scale;
+    const endX = (zone.end - view.cameraOffset + 150) * scale;
+    const fill = gameCx.createLinearGradient(startX, 0, endX, 0);
+    const stroke = gameCx.createLinearGradient(startX, 0, endX, 0);
+    
+    const stops = Math.max(2, Math.ceil(zone.end - zone.start));
+    for (let i = 0; i <= stops; i++) {
+        const { mix } = surfaceAt(terrains, zone.start + ((zone.end - zone.start) * i) / stops);
+        fill.addColorStop(i / stops, mixSurfaceColors(mix, 'color'));
+        stroke.addColorStop(i / stops, mixSurfaceColors(mix, 'darkColor'));
+    }
+    fillTrackStretch(zone.start, zone.end, fill, stroke, scale, groundY);
+}
+
+/**
+ * Strokes a band of color just above the track surface between two track positions (m).
+ */
+function strokeTrackSurface(from, to, color, width, scale, groundY) {
+    gameCx.strokeStyle = color;
+    gameCx.lineWidth = width;
+    gameCx.beginPath();
+    for (let pos = from; pos <= to + 2; pos += 2) {
+        const actualPos = Math.min(pos, to);
+        const screenX = (actualPos - view.cameraOffset + 150) * scale;
+        const screenY = groundY - getTerrainHeightAt(actualPos) * scale - width / 2;
+        if (pos === from) gameCx.moveTo(screenX, screenY);
+        else gameCx.lineTo(screenX, screenY);
+    }
+    gameCx.stroke();
+}
+
+/**
+ * Rain streaks slanted by the car's speed, or drifting snowflakes.
+ */
+function drawPrecipitation(kind) {
+    const isRain = kind === 'rain';
+    const drift = isRain ? -state.vel * 0.3 : -state.vel * 0.1;
+    
+    gameCx.strokeStyle = 'rgba(191, 219, 254, 0.6)';
+    gameCx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    gameCx.lineWidth = 1.5;
+    precipitation.forEach(drop => {
+        if (!view.paused) {
+            drop.y += drop.speed * (isRain ? 18 : 3);
+            drop.x += drift + (isRain ? 0 : Math.sin(drop.y / 40));
+            if (drop.y > gameCanvas.height) {
+                drop.y = -20;
+                drop.x = Math.random() * gameCanvas.width;
+            }
+            if (drop.x < 0) drop.x += gameCanvas.width;
+            if (drop.x > gameCanvas.width) drop.x -= gameCanvas.width;
+        }
+        
+        if (isRain) {
+            gameCx.beginPath();
+            gameCx.moveTo(drop.x, drop.y);
+            gameCx.lineTo(drop.x + drift * 0.8, drop.y + 15);
+            gameCx.stroke();
+        } else {
+            gameCx.beginPath();
+            gameCx.arc(drop.x, drop.y, 2 * drop.speed, 0, Math.PI * 2);
+            gameCx.fill();
+        }
+    });
+}
+
+/**
+ * Force vectors on the car, to scale and turned with the slope: weight straight down, the normal
+ * force out of the surface, and every force along the track (state.forces, so it also holds
+ * still while paused). Positive along-track forces point forward, down the track.
+ */
+function drawFreeBodyDiagram(x, y, slopeAngle) {
+    const forces = state.forces || simulation.computeForces(state.pos, state.vel);
+    const weight = simulation.config.mass * simulation.config.gravity;
+    const pxPerNewton = FBD_WEIGHT_LENGTH / weight;
+    
+    // Screen directions: along the track (forward) and out of the surface
+    const angle = (slopeAngle * Math.PI) / 180;
+    const along = { x: Math.cos(angle), y: -Math.sin(angle) };
+    const normal = { x: -Math.sin(angle), y: -Math.cos(angle) };
+    
+    drawForceArrow(x, y, 0, weight * pxPerNewton, '#e2e8f0', `mg ${weight.toFixed(0)} N`);
+    drawForceArrow(x, y, normal.x * forces.normal * pxPerNewton, normal.y * forces.normal * pxPerNewton, '#a3e635', `N ${forces.normal.toFixed(0)} N`);
+    
+    FBD_ALONG_FORCES.forEach(force => {
+        const value = forces[force.key];
+        if (Math.abs(value) < 1) return;
+        const startX = x + normal.x * force.offset;
+        const startY = y + normal.y * force.offset;
+        drawForceArrow(startX, startY, along.x * value * pxPerNewton, along.y * value * pxPerNewton, force.color,
+            `${force.label} ${Math.abs(value).toFixed(0)} N`, force.dash, force.width);
     });
 }
 
-function drawCar(x, y, slopeAngle) {
+function drawForceArrow(x, y, dx, dy, color, label, dash = [], width = 2) {
+    const length = Math.hypot(dx, dy);
+    if (length < 1) return;
+    if (length > FBD_MAX_LENGTH) {
+        dx *= FBD_MAX_LENGTH / length;
+        dy *= FBD_MAX_LENGTH / length;
+    }
+    const tipX = x + dx;
+    const tipY = y + dy;
+    const heading = Math.atan2(dy, dx);
+    
+    gameCx.strokeStyle = color;
+    gameCx.fillStyle = color;
+    gameCx.lineWidth = width;
+    gameCx.setLineDash(dash);
+    gameCx.beginPath();
+    gameCx.moveTo(x, y);
+    gameCx.lineTo(tipX, tipY);
+    gameCx.stroke();
+    gameCx.setLineDash([]);
+    
+    gameCx.beginPath();
+    gameCx.moveTo(tipX, tipY);
+    gameCx.lineTo(tipX - 9 * Math.cos(heading - 0.4), tipY - 9 * Math.sin(heading - 0.4));
+    gameCx.lineTo(tipX - 9 * Math.cos(heading + 0.4), tipY - 9 * Math.sin(heading + 0.4));
+    gameCx.closePath();
+    gameCx.fill();
+    
+    gameCx.font = 'bold 11px Arial';
+    gameCx.textAlign = dx < -1 ? 'right' : dx > 1 ? 'left' : 'center';
+    gameCx.fillText(label, tipX + Math.sign(dx) * 6, tipY + (dy > 1 ? 14 : dy < -1 ? -6 : 4));
+}
+
+function toggleForceDiagram() {
+    view.showForces = !view.showForces;
+    const button = document.getElementById('forcesBtn');
+    if (button) button.classList.toggle('active', view.showForces);
+}
+
+/**
+ * Red flag on the track where the car is predicted to stop.
+ */
+function drawStopMarker(position, scale, groundY) {
+    const x = (position - view.cameraOffset + 150) * scale;
+    const y = groundY - getTerrainHeightAt(position) * scale;
+    if (x < 0 || x > gameCanvas.width) return;
+    
+    gameCx.strokeStyle = '#ef4444';
+    gameCx.lineWidth = 3;
+    gameCx.setLineDash([6, 4]);
+    gameCx.beginPath();
+    gameCx.moveTo(x, y);
+    gameCx.lineTo(x, y - 70);
+    gameCx.stroke();
+    gameCx.setLineDash([]);
+    
+    gameCx.fillStyle = '#ef4444';
+    gameCx.beginPath();
+    gameCx.moveTo(x, y - 70);
+    gameCx.lineTo(x + 28, y - 61);
+    gameCx.lineTo(x, y - 52);
+    gameCx.closePath();
+    gameCx.fill();
+    
+    gameCx.font = 'bold 14px Arial';
+    gameCx.textAlign = 'center';
+    gameCx.fillText('STOP', x, y - 76);
+}
+
+function drawCar(x, y, slopeAngle, isGhost = false, color = CAR_COLORS[0], speed = state.vel, spinning = false) {
     if (!gameCx) return;
     gameCx.save();
     gameCx.translate(x, y);
-    gameCx.rotate((slopeAngle * Math.PI) / 180);
+    gameCx.rotate((-slopeAngle * Math.PI) / 180); // Canvas y points down, so uphill is an anticlockwise turn
+    if (isGhost) gameCx.globalAlpha = 0.4;
     
     // Car body
-    gameCx.fillStyle = '#ef4444';
+    gameCx.fillStyle = isGhost ? '#e2e8f0' : color;
     gameCx.fillRect(-25, -12, 50, 24);
     
-    // Car roof
-    gameCx.fillStyle = '#dc2626';
+    // Car roof (the body colour, shaded)
+    gameCx.fillStyle = isGhost ? '#94a3b8' : color;
     gameCx.fillRect(-15, -20, 30, 10);
+    if (!isGhost) {
+        gameCx.fillStyle = 'rgba(0, 0, 0, 0.12)';
+        gameCx.fillRect(-15, -20, 30, 10);
+    }
     
     // Windows
     gameCx.fillStyle = '#3b82f6';
@@ -666,9 +2683,23 @@ function drawCar(x, y, slopeAngle) {
     gameCx.arc(15, 12, 6, 0, Math.PI * 2);
     gameCx.fill();
     
+    // Wheelspin: blurred spokes turning faster than the road goes by
+    if (spinning) {
+        const spin = performance.now() / 25;
+        gameCx.strokeStyle = 'rgba(251, 146, 60, 0.9)';
+        gameCx.lineWidth = 2;
+        [-15, 15].forEach(wheelX => {
+            gameCx.beginPath();
+            gameCx.arc(wheelX, 12, 8, spin, spin + Math.PI * 0.7);
+            gameCx.moveTo(wheelX + 8 * Math.cos(spin + Math.PI), 12 + 8 * Math.sin(spin + Math.PI));
+            gameCx.arc(wheelX, 12, 8, spin + Math.PI, spin + Math.PI * 1.7);
+            gameCx.stroke();
+        });
+    }
+    
     // Speed lines
-    if (state.vel > 2) {
-        const lineCount = Math.min(5, Math.floor(state.vel / 3));
+    if (!isGhost && Math.abs(speed) > 2) {
+        const lineCount = Math.min(5, Math.floor(Math.abs(speed) / 3));
         gameCx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
         gameCx.lineWidth = 2;
         for (let i = 0; i < lineCount; i++) {
@@ -684,126 +2715,603 @@ function drawCar(x, y, slopeAngle) {
     gameCx.restore();
 }
 
-// ===== RESULTS & GRAPHS =====
+// ===== GHOST REPLAY =====
 
-function showResults() {
-    const avgSpeed = state.time > 0 ? state.trackLength / state.time : 0;
+/**
+ * Identifies runs that are comparable: same track layout and same physics constants.
+ */
+function getRunConfigKey(config, track) {
+    const { terrains: _omit, gearbox, ...constants } = config;
+    // Like patches below, only when set, so keys from before gearboxes still match
+    if (gearbox) constants.gearbox = gearbox;
+    const layout = track.map(t => ({
+        name: t.name,
+        length: t.length,
+        muStatic: t.muStatic,
+        muKinetic: t.muKinetic,
+        rollingResistance: t.rollingResistance,
+        slopes: t.slopes.map(s => s.angle),
+        // Only tracks that have them, so keys (and saved leaderboards) from before patches still match
+        ...((t.patches || []).length ? { patches: t.patches.map(p => [p.name, p.muStatic, p.muKinetic, p.start, p.end]) } : {})
+    }));
+    const transition = track.length ? track[0].transition : null;
+    return JSON.stringify(transition ? { constants, layout, transition } : { constants, layout });
+}
+
+/**
+ * Stores the just-finished run (inputs, full trajectory and sampled history) for replay.
+ */
+function archiveRun() {
+    const run = {
+        id: runArchive.length + 1,
+        configKey: getRunConfigKey(simulation.config, simulation.terrains),
+        time: state.time,
+        maxSpeed: state.maxSpeed,
+        inputLog: state.inputLog.slice(),
+        trajectory: state.trajectory.slice(),
+        history: state.history.slice()
+    };
+    runArchive.push(run);
+    updateGhostOptions();
+    return run;
+}
+
+function getPersonalBest(configKey) {
+    return runArchive
+        .filter(run => run.configKey === configKey)
+        .reduce((best, run) => (!best || run.time < best.time ? run : best), null);
+}
+
+function updateGhostOptions() {
+    const select = document.getElementById('ghostSelect');
+    if (!select) return;
+    
+    const previous = select.value;
+    select.innerHTML = '<option value="none">👻 No Ghost</option><option value="best">🏆 Ghost: Personal Best</option>';
+    runArchive.slice().reverse().forEach(run => {
+        const option = document.createElement('option');
+        option.value = String(run.id);
+        option.textContent = `👻 Run #${run.id} (${run.time.toFixed(2)} s)`;
+        select.appendChild(option);
+    });
+    select.value = previous && select.querySelector(`option[value="${previous}"]`) ? previous : 'none';
+}
+
+/**
+ * Picks the ghost for the run about to start from the ghost selector.
+ * The personal best only considers runs on the same track with the same physics.
+ */
+function selectGhostRun() {
+    const select = document.getElementById('ghostSelect');
+    const choice = select ? select.value : 'none';
+    
+    if (choice === 'best') {
+        ghostRun = getPersonalBest(getRunConfigKey(simulation.config, simulation.terrains));
+    } else if (choice === 'none') {
+        ghostRun = null;
+    } else {
+        ghostRun = runArchive.find(run => String(run.id) === choice) || null;
+    }
+}
+
+function getGhostPositionAt(time) {
+    const trajectory = ghostRun.trajectory;
+    if (trajectory.length === 0) return 0;
     
-    if (document.getElementById('finalDistance')) document.getElementById('finalDistance').textContent = state.pos.toFixed(1) + ' m';
-    if (document.getElementById('finalTime')) document.getElementById('finalTime').textContent = state.time.toFixed(2) + ' s';
-    if (document.getElementById('avgSpeed')) document.getElementById('avgSpeed').textContent = avgSpeed.toFixed(2) + ' m/s';
-    if (document.getElementById('maxSpeedResult')) document.getElementById('maxSpeedResult').textContent = state.maxSpeed.toFixed(2) + ' m/s';
+    // trajectory[i] is the position after step i + 1
+    const exactIndex = time / FIXED_DT - 1;
+    if (exactIndex <= 0) return exactIndex < -1 ? 0 : trajectory[0] * (exactIndex + 1);
+    if (exactIndex >= trajectory.length - 1) return trajectory[trajectory.length - 1];
     
-    drawResultsGraph();
+    const i = Math.floor(exactIndex);
+    const frac = exactIndex - i;
+    return trajectory[i] + (trajectory[i + 1] - trajectory[i]) * frac;
+}
+
+/**
+ * Time the ghost took to first reach a position, or null if it never got there.
+ */
+function getGhostTimeAtPosition(position) {
+    const trajectory = ghostRun.trajectory;
+    for (let i = 0; i < trajectory.length; i++) {
+        if (trajectory[i] >= position) return (i + 1) * FIXED_DT;
+    }
+    return null;
+}
+
+// ===== RUN HISTORY =====
+
+function getPlayerName() {
+    const input = document.getElementById('playerName');
+    return input ? input.value.trim() : '';
+}
+
+function getDriverLabel() {
+    return controllerType === 'manual' ? 'Manual' : CONTROLLER_TYPES[controllerType].name;
+}
+
+/**
+ * One-line summary of a run's track and the constants students most often change, so the
+ * leaderboard's track filter is readable (the hash tells configurations apart).
+ */
+function describeRunTrack(sim) {
+    const layout = sim.terrains
+        .map(t => `${t.name} ${Math.round(t.length)} m${t.slopes.some(s => s.angle !== 0) ? ' ⛰️' : ''}`)
+        .join(' → ');
+    return `${layout} · g ${sim.config.gravity} m/s² · ${sim.config.engineForce} N · ${sim.config.mass} kg`;
+}
+
+/**
+ * Why a finished run cannot go on its track's leaderboard, or null if it can. The configuration
+ * hash describes the settings the run started with, so changing them mid-run would rank it falsely.
+ */
+function getUnrankedReason() {
+    if (state.conditionLog.length) return 'the weather changed during the run';
+    if (view.driverChanged) return 'the driver changed during the run';
+    return null;
+}
+
+/** Saves the just-finished run to the persistent history. */
+function recordRun() {
+    const unranked = getUnrankedReason();
+    if (unranked) {
+        lastHistoryEntry = { unranked: unranked };
+        return;
+    }
+    lastHistoryEntry = runHistory.add({
+        configHash: hashConfigKey(getRunConfigKey(simulation.config, simulation.terrains)),
+        track: describeRunTrack(simulation),
+        player: getPlayerName(),
+        driver: getDriverLabel(),
+        time: state.time,
+        avgSpeed: state.time > 0 ? state.trackLength / state.time : 0,
+        maxSpeed: state.maxSpeed
+    });
+}
+
+function renderPersonalBestBanner() {
+    const banner = document.getElementById('personalBestBanner');
+    if (!banner) return;
     
-    if (document.getElementById('resultsScreen')) document.getElementById('resultsScreen').classList.remove('hidden');
+    const entry = state.finished ? lastHistoryEntry : null;
+    if (entry && entry.unranked) {
+        banner.style.display = '';
+        banner.classList.remove('improved');
+        banner.textContent = `📝 Not saved to the leaderboard: ${entry.unranked}.`;
+        return;
+    }
+    if (!entry || !entry.run) {
+        banner.style.display = 'none';
+        return;
+    }
+    
+    const { run, previousBest } = entry;
+    const improved = !previousBest || run.time < previousBest.time;
+    banner.style.display = '';
+    banner.classList.toggle('improved', improved);
+    if (!previousBest) {
+        banner.textContent = `📝 First run on this track for ${run.player} - ${run.time.toFixed(2)} s is the time to beat.`;
+    } else if (improved) {
+        banner.textContent = `🎉 New personal best for ${run.player}! ${(previousBest.time - run.time).toFixed(2)} s faster than ${previousBest.time.toFixed(2)} s.`;
+    } else {
+        banner.textContent = `Personal best for ${run.player}: ${previousBest.time.toFixed(2)} s (this run +${(run.time - previousBest.time).toFixed(2)} s).`;
+    }
+    
+    // Top of the leaderboard, when there was someone to beat
+    const record = runHistory.getBest(run.configHash);
+    if (record.id === run.id && runHistory.query({ configHash: run.configHash }).length > 1) {
+        banner.textContent += ' 🏆 Fastest of everyone on this track!';
+    }
 }
 
-function drawResultsGraph() {
-    if (!graphCx || !graphCanvas) return;
-    const canvas = document.getElementById('resultsGraph');
-    const ctx = canvas.getContext('2d');
-    const w = canvas.width;
-    const h = canvas.height;
+/** Opens the history view from the main menu or the results screen, on the current track. */
+function openRunHistory(fromScreen) {
+    historyReturnScreen = fromScreen;
+    document.getElementById(fromScreen)?.classList.add('hidden');
+    document.getElementById('historyScreen')?.classList.remove('hidden');
     
-    ctx.clearRect(0, 0, w, h);
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
-    ctx.fillRect(0, 0, w, h);
+    // From the menu the current track is the one the menu would start, not the last run's
+    let configHash = lastHistoryEntry && lastHistoryEntry.run ? lastHistoryEntry.run.configHash : null;
+    if (fromScreen === 'mainMenu') {
+        updatePhysicsConstants();
+        updateTerrainStructure();
+        configHash = hashConfigKey(getRunConfigKey(physicsConfig, terrains));
+    }
+    renderHistoryFilters(configHash);
+    renderRunHistory();
+}
+
+function closeRunHistory() {
+    document.getElementById('historyScreen')?.classList.add('hidden');
+    document.getElementById(historyReturnScreen)?.classList.remove('hidden');
+}
+
+/**
+ * Fills the track and driver filters from the saved runs, keeping the current choices where
+ * they still exist. configHash, if given and it has runs, becomes the selected track.
+ */
+function renderHistoryFilters(configHash = null) {
+    const trackSelect = document.getElementById('historyTrackFilter');
+    if (trackSelect) {
+        const previous = configHash || trackSelect.value;
+        const configurations = runHistory.getConfigurations();
+        trackSelect.innerHTML = '<option value="">All tracks</option>' + configurations
+            .map(c => `<option value="${c.configHash}">${escapeHtml(c.track)} (${c.count} run${c.count === 1 ? '' : 's'})</option>`)
+            .join('');
+        trackSelect.value = configurations.some(c => c.configHash === previous) ? previous : '';
+    }
+    
+    const driverSelect = document.getElementById('historyDriverFilter');
+    if (driverSelect) {
+        const previous = driverSelect.value;
+        const drivers = runHistory.getDrivers();
+        driverSelect.innerHTML = '<option value="">All drivers</option>' + drivers
+            .map(driver => `<option value="${escapeHtml(driver)}">${escapeHtml(driver)}</option>`)
+            .join('');
+        driverSelect.value = drivers.includes(previous) ? previous : '';
+    }
+}
+
+/** The runs the history filters currently show, in leaderboard order. */
+function getShownRuns() {
+    return runHistory.query({
+        configHash: document.getElementById('historyTrackFilter')?.value || '',
+        player: document.getElementById('historyPlayerFilter')?.value || '',
+        driver: document.getElementById('historyDriverFilter')?.value || '',
+        sort: document.getElementById('historySort')?.value || 'time'
+    });
+}
+
+function renderRunHistory() {
+    const tbody = document.getElementById('historyBody');
+    if (!tbody) return;
+    
+    const runs = getShownRuns();
+    const allTracks = !document.getElementById('historyTrackFilter')?.value;
+    const player = getPlayerName() || 'Anonymous';
+    const latestId = lastHistoryEntry && lastHistoryEntry.run ? lastHistoryEntry.run.id : null;
+    tbody.innerHTML = '';
+    runs.forEach((run, index) => {
+        const row = document.createElement('tr');
+        row.dataset.id = String(run.id);
+        if (run.player === player) row.classList.add('history-mine');
+        if (run.id === latestId) row.classList.add('history-latest');
+        row.innerHTML = `
+            <td>${index + 1}</td>
+            <td>${escapeHtml(run.player)}</td>
+            ${allTracks ? `<td class="history-track">${escapeHtml(run.track)}</td>` : ''}
+            <td>${escapeHtml(run.driver)}</td>
+            <td>${run.time.toFixed(2)} s</td>
+            <td>${run.avgSpeed.toFixed(2)} m/s</td>
+            <td>${run.maxSpeed.toFixed(2)} m/s</td>
+            <td>${new Date(run.date).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}</td>
+            <td><button class="segment-btn" data-action="remove" title="Delete run">✕</button></td>
+        `;
+        tbody.appendChild(row);
+    });
     
-    if (state.history.length < 2) return;
+    const trackHeader = document.getElementById('historyTrackHeader');
+    if (trackHeader) trackHeader.style.display = allTracks ? '' : 'none';
+    const empty = document.getElementById('historyEmpty');
+    if (empty) empty.style.display = runs.length ? 'none' : '';
+    const clearBtn = document.getElementById('clearHistoryBtn');
+    if (clearBtn) clearBtn.disabled = runs.length === 0;
+}
+
+function handleHistoryAction(e) {
+    const button = e.target.closest('[data-action="remove"]');
+    const row = button && button.closest('tr');
+    if (!row) return;
     
-    const maxT = state.history[state.history.length - 1].t;
-    const maxV = Math.max(...state.history.map(p => p.vel), MAX_SPEED * 1.05, 10); 
-    const maxPos = state.trackLength;
+    runHistory.remove(Number(row.dataset.id));
+    renderHistoryFilters();
+    renderRunHistory();
+}
+
+/** Deletes every run the filters show, e.g. to start a new term's leaderboard. */
+function clearShownRuns() {
+    const runs = getShownRuns();
+    if (!runs.length || !window.confirm(`Delete the ${runs.length} run${runs.length === 1 ? '' : 's'} shown? This cannot be undone.`)) return;
     
-    // Draw grid
-    ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
-    ctx.lineWidth = 1;
-    for (let i = 0; i <= 5; i++) {
-        const y = (i / 5) * h;
-        ctx.beginPath();
-        ctx.moveTo(0, y);
-        ctx.lineTo(w, y);
-        ctx.stroke();
+    runHistory.removeAll(runs.map(run => run.id));
+    renderHistoryFilters();
+    renderRunHistory();
+}
+
+// ===== ENERGY =====
+
+function getEnergyPart(key, energy, losses) {
+    return key === 'kinetic' || key === 'potential' ? energy[key] : losses[key];
+}
+
+/** "0.04% off", with a warning once the drift passes ENERGY_TOLERANCE. */
+function formatEnergyBalance(energy) {
+    return `${energy.drift <= ENERGY_TOLERANCE ? '✅' : '⚠️'} ${(energy.drift * 100).toFixed(2)}% off`;
+}
+
+/**
+ * Builds the HUD energy bar segments and one row per ENERGY_PARTS entry.
+ */
+function renderEnergyPanel() {
+    const bar = document.getElementById('energyBar');
+    const rows = document.getElementById('energyRows');
+    if (!bar || !rows) return;
+    
+    bar.innerHTML = ENERGY_PARTS.map(part => `<span id="${part.key}EnergySegment" style="background: ${part.color};" title="${part.label}"></span>`).join('');
+    rows.innerHTML = ENERGY_PARTS.map(part => `
+        <div class="stat">
+            <span class="stat-label"><span class="energy-swatch" style="background: ${part.color};"></span>${part.label}:</span>
+            <span class="stat-value" id="${part.key}EnergyValue">0.0 kJ</span>
+        </div>
+    `).join('');
+}
+
+/**
+ * The bar's full width is the energy put in: the engine's work, plus the potential energy
+ * given up while below the start line. Each part fills its share of that.
+ */
+function updateEnergyPanel() {
+    const energy = state.energy;
+    const energyIn = energy.engine + Math.max(0, -energy.potential);
+    
+    if (document.getElementById('engineWorkValue')) document.getElementById('engineWorkValue').textContent = (energy.engine / 1000).toFixed(1) + ' kJ';
+    ENERGY_PARTS.forEach(part => {
+        const value = getEnergyPart(part.key, energy, state.losses);
+        const segment = document.getElementById(part.key + 'EnergySegment');
+        if (segment) segment.style.width = (energyIn > 0 ? Math.max(0, value) / energyIn * 100 : 0).toFixed(1) + '%';
+        const valueEl = document.getElementById(part.key + 'EnergyValue');
+        if (valueEl) valueEl.textContent = (value / 1000).toFixed(1) + ' kJ';
+    });
+    
+    const balanceEl = document.getElementById('energyBalanceValue');
+    if (balanceEl) {
+        balanceEl.textContent = formatEnergyBalance(energy);
+        balanceEl.title = `Engine work − (KE + PE + losses) = ${(energy.residual / 1000).toFixed(2)} kJ`;
     }
+}
+
+// BRAKE STATES - HUD label and colour for state.brakeMode
+const BRAKE_MODE_LABELS = {
+    off: { text: 'Off', color: '' },
+    rolling: { text: 'Braking', color: '#4ade80' },
+    locked: { text: '🔒 Wheels locked', color: '#ef4444' },
+    abs: { text: 'ABS active', color: '#facc15' }
+};
+const STOP_PREDICTION_INTERVAL = 0.25; // s of run time a stop prediction is reused while the pedals stay put
 
-    // Y-axis labels (Speed on left, Position on right)
-ctx.fillStyle = '#fff';
-ctx.font = '12px Arial';
-for (let i = 0; i <= 5; i++) {
-    const y = (i / 5) * h;
+/**
+ * Brake state, plus the predicted stopping distance while braking (also drawn as the stop marker).
+ * predictStop() steps a whole stop ahead, so it is only redone when the pedals or the brake state
+ * change or the last prediction has aged; in between the distance and time count down from it.
+ */
+function updateBrakeReadout() {
+    const braking = state.brakeMode !== 'off' && !state.finished;
+    const made = view.stopPredictionMade;
+    if (!braking) {
+        view.stopPrediction = null;
+        view.stopPredictionMade = null;
+    } else if (!made || made.inputChanges !== state.inputLog.length || made.brakeMode !== state.brakeMode ||
+        state.time - made.time >= STOP_PREDICTION_INTERVAL) {
+        view.stopPrediction = simulation.predictStop();
+        view.stopPredictionMade = { time: state.time, inputChanges: state.inputLog.length, brakeMode: state.brakeMode };
+    }
     
-    // Speed values (left side, green)
-    const speedValue = (maxV * (5 - i) / 5).toFixed(1);
-    ctx.fillStyle = '#4ade80';
-    ctx.textAlign = 'left';
-    ctx.fillText(speedValue, 5, y + 4);
+    const modeEl = document.getElementById('brakeModeValue');
+    if (modeEl) {
+        const label = BRAKE_MODE_LABELS[state.brakeMode] || BRAKE_MODE_LABELS.off;
+        modeEl.textContent = label.text + (simulation.config.abs && state.brakeMode === 'off' ? ' (ABS on)' : '');
+        modeEl.style.color = label.color;
+    }
     
-    // Position values (right side, blue)
-    const posValue = (maxPos * (5 - i) / 5).toFixed(0);
-    ctx.fillStyle = '#60a5fa';
-    ctx.textAlign = 'right';
-    ctx.fillText(posValue, w - 5, y + 4);
-}
-
-    // X-axis labels (Time at bottom)
-ctx.fillStyle = '#fff';
-ctx.textAlign = 'center';
-for (let i = 0; i <= 5; i++) {
-    const x = (i / 5) * w;
-    const timeValue = (maxT * i / 5).toFixed(1);
-    ctx.fillText(timeValue, x, h - 5);
-}
-
-    // Draw speed vs time (Green)
-    ctx.strokeStyle = '#4ade80';
-    ctx.lineWidth = 3;
-    ctx.beginPath();
-    state.history.forEach((p, i) => {
-        const x = (p.t / maxT) * w;
-        const y = h - (p.vel / maxV) * h;
-        if (i === 0) ctx.moveTo(x, y);
-        else ctx.lineTo(x, y);
-    });
-    ctx.stroke();
-    
-    // Draw position vs time (Blue Dashed)
-    ctx.strokeStyle = '#60a5fa';
-    ctx.lineWidth = 2;
-    ctx.setLineDash([5, 5]);
-    ctx.beginPath();
-    state.history.forEach((p, i) => {
-        const x = (p.t / maxT) * w;
-        const y = h - (p.pos / maxPos) * h;
-        if (i === 0) ctx.moveTo(x, y);
-        else ctx.lineTo(x, y);
-    });
-    ctx.stroke();
-    ctx.setLineDash([]);
-    
-    // Add Axis Labels (Requested in previous step)
-    ctx.fillStyle = '#fff';
-    ctx.font = 'bold 14px Arial';
+    const row = document.getElementById('stoppingRow');
+    if (row) row.style.display = braking ? 'flex' : 'none';
+    const stoppingEl = document.getElementById('stoppingValue');
+    if (!braking || !stoppingEl) return;
     
-    // X-Axis Label (Time)
-    ctx.textAlign = 'center';
-    ctx.fillText('Time (s)', w / 2, h - 5);
+    const prediction = view.stopPrediction;
+    if (!prediction) {
+        stoppingEl.textContent = Math.abs(state.vel) < STOP_THRESHOLD ? 'Stopped' : "Won't stop";
+        return;
+    }
+    const distance = Math.abs(prediction.position - state.pos);
+    const time = Math.max(0, prediction.time - (state.time - view.stopPredictionMade.time));
+    stoppingEl.textContent = prediction.beyondFinish
+        ? `Past the finish (${distance.toFixed(1)} m left)`
+        : `${distance.toFixed(1)} m (${time.toFixed(1)} s)`;
+}
+
+/**
+ * Gear, engine speed and wheelspin; the rows only show when the car has a gearbox.
+ */
+function updateDrivetrainReadout() {
+    const hasGearbox = Boolean(simulation.config.gearbox);
+    ['gearRow', 'wheelspinRow'].forEach(id => {
+        const row = document.getElementById(id);
+        if (row) row.style.display = hasGearbox ? 'flex' : 'none';
+    });
+    if (!hasGearbox) return;
     
-    ctx.save();
+    const gearEl = document.getElementById('gearValue');
+    if (gearEl) {
+        const shifting = state.shiftTimer > 0 ? ' (shifting)' : '';
+        gearEl.textContent = `${state.gear}/${GEAR_RATIOS.length} · ${state.rpm.toFixed(0)} rpm${shifting}`;
+        gearEl.style.color = state.rpm >= REDLINE_RPM * 0.95 ? '#ef4444' : '';
+    }
+    const spinEl = document.getElementById('wheelspinValue');
+    if (spinEl) {
+        const spinning = state.wheelspin && !state.finished;
+        spinEl.textContent = spinning ? '🌀 Wheels spinning' : 'Gripping';
+        spinEl.style.color = spinning ? '#fb923c' : '';
+    }
+}
+
+function updateGhostDelta() {
+    const deltaEl = document.getElementById('ghostDeltaValue');
+    const row = document.getElementById('ghostDeltaRow');
+    if (row) row.style.display = ghostRun ? 'flex' : 'none';
+    if (!ghostRun || !deltaEl) return;
+    
+    const ghostTime = getGhostTimeAtPosition(state.pos);
+    if (ghostTime === null || state.pos <= 0) {
+        deltaEl.textContent = '--';
+        deltaEl.style.color = '';
+        return;
+    }
     
-    // Y-Axis Labels
-    // Speed (Left Axis)
-    ctx.textAlign = 'left';
-    ctx.fillStyle = '#4ade80';
-    ctx.fillText(`Speed (m/s)`, 5, 20);
+    // Positive: we reached this point later than the ghost did (behind)
+    const delta = state.time - ghostTime;
+    deltaEl.textContent = (delta >= 0 ? '+' : '') + delta.toFixed(2) + ' s';
+    deltaEl.style.color = delta > 0 ? '#ef4444' : '#4ade80';
+}
+
+// ===== RESULTS & GRAPHS =====
+
+function showResults() {
+    const avgSpeed = state.time > 0 ? state.trackLength / state.time : 0;
     
-    // Position (Right Axis)
-    ctx.translate(w, 0);
-    ctx.textAlign = 'right';
-    ctx.fillStyle = '#60a5fa';
-    ctx.fillText(`Position (m)`, -5, 20);
+    if (document.getElementById('finalDistance')) document.getElementById('finalDistance').textContent = state.pos.toFixed(1) + ' m';
+    if (document.getElementById('finalTime')) document.getElementById('finalTime').textContent = state.time.toFixed(2) + ' s';
+    if (document.getElementById('avgSpeed')) document.getElementById('avgSpeed').textContent = avgSpeed.toFixed(2) + ' m/s';
+    if (document.getElementById('maxSpeedResult')) document.getElementById('maxSpeedResult').textContent = state.maxSpeed.toFixed(2) + ' m/s';
+    if (document.getElementById('frictionLossResult')) document.getElementById('frictionLossResult').textContent = (state.losses.friction / 1000).toFixed(1) + ' kJ';
+    if (document.getElementById('dragLossResult')) document.getElementById('dragLossResult').textContent = (state.losses.drag / 1000).toFixed(1) + ' kJ';
+    if (document.getElementById('rollingLossResult')) document.getElementById('rollingLossResult').textContent = (state.losses.rolling / 1000).toFixed(1) + ' kJ';
+    if (document.getElementById('energyBalanceResult')) document.getElementById('energyBalanceResult').textContent = formatEnergyBalance(state.energy);
+    
+    renderExperimentResult();
+    renderPersonalBestBanner();
+    renderTerrainBreakdown();
+    renderComparisonRanking();
+    drawResultsGraph();
+    drawEnergyGraph();
+    
+    if (document.getElementById('resultsScreen')) document.getElementById('resultsScreen').classList.remove('hidden');
+}
+
+function renderTerrainBreakdown() {
+    const tbody = document.getElementById('terrainBreakdownBody');
+    if (!tbody) return;
+    
+    // One row per surface, even if the track visits it more than once
+    const surfaces = getTrackSurfacesUsed();
+    
+    tbody.innerHTML = '';
+    surfaces.forEach(terrain => {
+        const stat = state.terrainStats[terrain.name] || { maxSpeed: 0, friction: 0, drag: 0, rolling: 0 };
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${escapeHtml(terrain.emoji)} ${escapeHtml(terrain.name)}</td>
+            <td>${stat.maxSpeed.toFixed(1)} m/s</td>
+            <td>${(stat.friction / 1000).toFixed(1)} kJ</td>
+            <td>${(stat.drag / 1000).toFixed(1)} kJ</td>
+            <td>${(stat.rolling / 1000).toFixed(1)} kJ</td>
+        `;
+        tbody.appendChild(row);
+    });
+}
+
+/**
+ * Ranks Car 1 and the comparison cars: finishers by time, then the rest by distance covered.
+ */
+function renderComparisonRanking() {
+    const section = document.getElementById('comparisonResults');
+    if (section) section.style.display = rivals.length ? 'block' : 'none';
+    const tbody = document.getElementById('comparisonRankingBody');
+    if (!tbody || !rivals.length) return;
+    
+    const ranked = getComparisonCars().sort((a, b) => {
+        if (a.state.finished !== b.state.finished) return a.state.finished ? -1 : 1;
+        return a.state.finished ? a.state.time - b.state.time : b.state.pos - a.state.pos;
+    });
+    
+    tbody.innerHTML = '';
+    ranked.forEach((car, index) => {
+        const carState = car.state;
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${index + 1}</td>
+            <td style="color: ${car.color};">${escapeHtml(car.name)}</td>
+            <td>${escapeHtml(car.setup ? describeCarSetup(car.setup) : 'Menu settings')}</td>
+            <td>${carState.finished ? carState.time.toFixed(2) + ' s' : `Stopped at ${carState.pos.toFixed(0)} m`}</td>
+            <td>${carState.maxSpeed.toFixed(1)} m/s</td>
+            <td>${(carState.time > 0 ? carState.pos / carState.time : 0).toFixed(1)} m/s</td>
+        `;
+        tbody.appendChild(row);
+    });
+}
+
+function drawResultsGraph() {
+    if (!resultsChart) return;
+    resultsChart.resetZoom();
+    setChartRun(resultsChart);
+    resultsChart.draw();
+}
+
+/**
+ * Energy against time: the engine's work (white), each place it went (ENERGY_PARTS colours) and
+ * their sum (dashed), which should sit on the engine line if energy is conserved.
+ */
+function drawEnergyGraph() {
+    if (!energyChart) return;
+    energyChart.resetZoom();
+    energyChart.setData(state.history);
+    energyChart.draw();
+}
+
+/**
+ * Fills a chart's series checkboxes from CHART_SERIES and wires them and its x-axis select.
+ * redraw runs after every change (the live graph just waits for the next frame).
+ */
+function renderChartPicker(chart, seriesId, axisId, redraw) {
+    const picker = document.getElementById(seriesId);
+    if (!chart || !picker) return;
+    
+    picker.innerHTML = Object.entries(CHART_SERIES).map(([key, series]) => `
+        <label class="series-chip">
+            <input type="checkbox" value="${key}" ${chart.getSeries().includes(key) ? 'checked' : ''}>
+            <span style="color: ${series.color};">${series.label}</span>
+        </label>
+    `).join('');
+    picker.addEventListener('change', () => {
+        chart.setSeries(Array.from(picker.querySelectorAll('input:checked')).map(input => input.value));
+        redraw();
+    });
     
-    ctx.restore();
+    const axisSelect = document.getElementById(axisId);
+    if (!axisSelect) return;
+    axisSelect.value = chart.getXAxis();
+    axisSelect.addEventListener('change', (e) => {
+        chart.setXAxis(e.target.value);
+        e.target.blur();
+        redraw();
+    });
+}
+
+// ===== DATA EXPORT =====
+
+function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+function getExportFilename(extension) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    return `surface-matters-run-${stamp}.${extension}`;
+}
+
+function exportRunCsv() {
+    downloadFile(getExportFilename('csv'), historyToCsv(state.history), 'text/csv');
+}
+
+function exportRunJson() {
+    downloadFile(getExportFilename('json'), JSON.stringify(buildRunReport(simulation), null, 2), 'application/json');
 }
 
 // ====================================================================
@@ -811,22 +3319,61 @@ for (let i = 0; i <= 5; i++) {
 // ====================================================================
 
 function resetSimulation() {
-    state.pos = 0;
-    state.vel = 0;
-    state.acc = 0;
-    state.time = 0;
-    state.paused = false;
-    state.finished = false;
-    state.history = [];
-    state.maxSpeed = 0;
-    state.cameraOffset = 0;
-    keys.up = false;
-    keys.down = false;
+    simulation = createSimulation({ ...physicsConfig, terrains: terrains });
+    state = simulation.getState();
+    setPaused(false);
+    view.cameraOffset = 0;
+    releasePedals();
     particles.length = 0;
+    controller = createSelectedController(); // Fresh controller state (e.g. the PID integral) every run
+    rivals = isRunActive() ? createRivals() : [];
+    view.driverChanged = false;
+    view.runOver = false;
+    if (experimentRun) experimentRun.idle = 0;
+    updateExperimentBanner();
+    selectGhostRun();
+    renderTerrainCards();
+}
+
+/** True while the car is on screen: no menu, experiment or history screen in front of it. */
+function isRunActive() {
+    return ['mainMenu', 'experimentScreen', 'historyScreen']
+        .every(id => !document.getElementById(id) || document.getElementById(id).classList.contains('hidden'));
+}
+
+function setPaused(paused) {
+    view.paused = paused;
+    if (document.getElementById('pauseBtn')) document.getElementById('pauseBtn').textContent = paused ? '▶️ RESUME (SPACE)' : '⏸️ PAUSE (SPACE)';
+}
+
+/** Shows the locked-in prediction in the HUD while an experiment runs. */
+function updateExperimentBanner() {
+    const row = document.getElementById('experimentRow');
+    if (row) row.style.display = experimentRun ? '' : 'none';
+    if (!experimentRun || !document.getElementById('experimentValue')) return;
+    const kind = PREDICTIONS[experimentRun.experiment.predict];
+    document.getElementById('experimentValue').textContent = `${kind.label} ${experimentRun.prediction} ${kind.unit}`;
+}
+
+/** Hides the menu, shows the HUD and starts a fresh run with the menu's settings. */
+function startSimulation() {
+    updatePhysicsConstants();
+    updateTerrainStructure();
+    
+    // Hide main menu
+    const mainMenu = document.getElementById('mainMenu');
+    if (mainMenu) mainMenu.classList.add('hidden');
     
-    if (document.getElementById('accelerateBtn')) document.getElementById('accelerateBtn').classList.remove('active');
-    if (document.getElementById('brakeBtn')) document.getElementById('brakeBtn').classList.remove('active');
-    if (document.getElementById('pauseBtn')) document.getElementById('pauseBtn').textContent = '⏸️ PAUSE (SPACE)';
+    // Show simulation elements
+    const hud = document.getElementById('hud');
+    const controls = document.getElementById('controls');
+    const educationPanel = document.getElementById('educationPanel');
+    
+    if (hud) hud.style.display = 'flex';
+    if (controls) controls.style.display = 'flex';
+    if (educationPanel) educationPanel.style.display = 'block';
+    
+    resetSimulation();
 }
 
 function setupEventListeners() {
@@ -841,10 +3388,7 @@ function setupEventListeners() {
         document.getElementById('brakeBtn').classList.toggle('active', keys.down);
     });
 
-    document.getElementById('pauseBtn')?.addEventListener('click', () => {
-        state.paused = !state.paused;
-        document.getElementById('pauseBtn').textContent = state.paused ? '▶️ RESUME (SPACE)' : '⏸️ PAUSE (SPACE)';
-    });
+    document.getElementById('pauseBtn')?.addEventListener('click', () => setPaused(!view.paused));
 
     document.getElementById('resetBtn')?.addEventListener('click', resetSimulation);
     
@@ -864,6 +3408,8 @@ function setupEventListeners() {
         if (mainMenu) mainMenu.classList.remove('hidden');
         
         // Reset the simulation
+        experimentRun = null;
+        if (!lessonRunner) scenarioDriver = null; // A lesson in progress keeps its step's driver
         resetSimulation();
     });
     
@@ -886,9 +3432,32 @@ function setupEventListeners() {
     document.getElementById('backToMenuBtn')?.addEventListener('click', () => {
         document.getElementById('resultsScreen')?.classList.add('hidden');
         document.getElementById('mainMenu')?.classList.remove('hidden');
+        experimentRun = null;
+        if (!lessonRunner) scenarioDriver = null; // A lesson in progress keeps its step's driver
         resetSimulation();
     });
 
+    // Run History
+    document.getElementById('menuHistoryBtn')?.addEventListener('click', () => openRunHistory('mainMenu'));
+    document.getElementById('resultsHistoryBtn')?.addEventListener('click', () => openRunHistory('resultsScreen'));
+    document.getElementById('closeHistoryBtn')?.addEventListener('click', closeRunHistory);
+    document.getElementById('clearHistoryBtn')?.addEventListener('click', clearShownRuns);
+    document.getElementById('historyBody')?.addEventListener('click', handleHistoryAction);
+    ['historyTrackFilter', 'historyDriverFilter', 'historySort'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', renderRunHistory);
+    });
+    document.getElementById('historyPlayerFilter')?.addEventListener('input', renderRunHistory);
+    document.getElementById('playerName')?.addEventListener('change', (e) => runHistory.setPlayer(e.target.value));
+
+    // Scenario Links
+    document.getElementById('menuCopyLinkBtn')?.addEventListener('click', () => copyScenarioLink(false, 'menuLinkAutostart', 'menuLinkStatus'));
+    document.getElementById('resultsCopyLinkBtn')?.addEventListener('click', () => copyScenarioLink(true, 'resultsLinkAutostart', 'resultsLinkStatus'));
+    window.addEventListener('hashchange', loadScenarioFromHash);
+
+    // Results Export
+    document.getElementById('exportCsvBtn')?.addEventListener('click', exportRunCsv);
+    document.getElementById('exportJsonBtn')?.addEventListener('click', exportRunJson);
+
     document.getElementById('toggleEducation')?.addEventListener('click', () => {
         const content = document.getElementById('educationContent');
         const btn = document.getElementById('toggleEducation');
@@ -899,45 +3468,152 @@ function setupEventListeners() {
         }
     });
 
+    // Lessons
+    document.getElementById('lessonList')?.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-lesson]');
+        if (button) startLesson(button.dataset.lesson);
+    });
+    document.getElementById('lessonTask')?.addEventListener('click', handleLessonChoice);
+    document.getElementById('lessonNextBtn')?.addEventListener('click', (e) => {
+        nextLessonStep();
+        e.currentTarget.blur(); // Keep the space bar pausing rather than re-clicking the button
+    });
+    document.getElementById('lessonBackBtn')?.addEventListener('click', (e) => {
+        if (lessonRunner && lessonRunner.back()) showLessonStep();
+        e.currentTarget.blur();
+    });
+    document.getElementById('lessonExitBtn')?.addEventListener('click', (e) => {
+        exitLesson();
+        e.currentTarget.blur();
+    });
+
     // Menu Control - Show HUD elements when starting simulation
     document.getElementById('startBtn')?.addEventListener('click', () => {
-        updatePhysicsConstants();
-        updateTerrainStructure();
-        
-        // Hide main menu
-        const mainMenu = document.getElementById('mainMenu');
-        if (mainMenu) mainMenu.classList.add('hidden');
-        
-        // Show simulation elements
-        const hud = document.getElementById('hud');
-        const controls = document.getElementById('controls');
-        const educationPanel = document.getElementById('educationPanel');
-        
-        if (hud) hud.style.display = 'flex';
-        if (controls) controls.style.display = 'flex';
-        if (educationPanel) educationPanel.style.display = 'block';
-        
-        resetSimulation();
+        experimentRun = null;
+        scenarioDriver = null;
+        startSimulation();
+    });
+
+    // Experiments
+    document.getElementById('experimentSelect')?.addEventListener('change', updateExperimentSummary);
+    document.getElementById('startExperimentBtn')?.addEventListener('click', openExperiment);
+    document.getElementById('runExperimentBtn')?.addEventListener('click', runExperiment);
+    document.getElementById('predictionInput')?.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') runExperiment();
+    });
+    document.getElementById('cancelExperimentBtn')?.addEventListener('click', () => {
+        document.getElementById('experimentScreen')?.classList.add('hidden');
+        document.getElementById('mainMenu')?.classList.remove('hidden');
+    });
+    document.getElementById('loadExperimentBtn')?.addEventListener('click', () => document.getElementById('experimentFileInput')?.click());
+    document.getElementById('experimentFileInput')?.addEventListener('change', (e) => {
+        const file = e.target.files && e.target.files[0];
+        if (file) loadExperimentFile(file);
+        e.target.value = ''; // Allow re-loading the same file after fixing it
+    });
+
+    // Track Editor
+    document.getElementById('customTrackToggle')?.addEventListener('change', updateTrackInputVisibility);
+    document.getElementById('segmentList')?.addEventListener('input', handleSegmentInput);
+    document.getElementById('segmentList')?.addEventListener('change', handleSegmentInput);
+    document.getElementById('segmentList')?.addEventListener('click', handleSegmentAction);
+    document.getElementById('addSegmentBtn')?.addEventListener('click', addTrackSegment);
+    document.getElementById('surfacePatchList')?.addEventListener('input', handleSurfacePatchInput);
+    document.getElementById('surfacePatchList')?.addEventListener('change', handleSurfacePatchInput);
+    document.getElementById('surfacePatchList')?.addEventListener('click', handleSurfacePatchAction);
+    document.getElementById('addSurfacePatchBtn')?.addEventListener('click', addSurfacePatch);
+
+    // Surface Library
+    document.getElementById('surfaceList')?.addEventListener('click', handleSurfaceAction);
+    document.getElementById('addSurfaceBtn')?.addEventListener('click', () => openSurfaceForm());
+    document.getElementById('saveSurfaceBtn')?.addEventListener('click', saveSurfaceForm);
+    document.getElementById('cancelSurfaceBtn')?.addEventListener('click', closeSurfaceForm);
+
+    // Conditions
+    document.getElementById('weatherSelect')?.addEventListener('change', (e) => setWeather(e.target.value));
+    document.getElementById('weatherControl')?.addEventListener('change', (e) => {
+        setWeather(e.target.value);
+        e.target.blur(); // Keep the arrow keys driving the car, not cycling the options
+    });
+    document.getElementById('patchList')?.addEventListener('input', handlePatchInput);
+    document.getElementById('patchList')?.addEventListener('change', handlePatchInput);
+    document.getElementById('patchList')?.addEventListener('click', handlePatchAction);
+    document.getElementById('addPatchBtn')?.addEventListener('click', addConditionPatch);
+
+    // Comparison
+    document.getElementById('compareToggle')?.addEventListener('change', updateComparisonVisibility);
+    document.getElementById('compareLayoutSelect')?.addEventListener('change', (e) => {
+        comparisonLayout = e.target.value === 'overlay' ? 'overlay' : 'lanes';
+    });
+    document.getElementById('rivalList')?.addEventListener('input', handleRivalInput);
+    document.getElementById('rivalList')?.addEventListener('change', handleRivalInput);
+    document.getElementById('rivalList')?.addEventListener('click', handleRivalAction);
+    document.getElementById('addRivalBtn')?.addEventListener('click', addComparisonCar);
+
+    // Free-body diagram
+    document.getElementById('forcesBtn')?.addEventListener('click', (e) => {
+        toggleForceDiagram();
+        e.currentTarget.blur();
+    });
+
+    // On-screen pedals
+    setupPedalSlider('throttleSlider', 'throttle');
+    setupPedalSlider('brakeSlider', 'brake');
+
+    // Driver
+    document.getElementById('controllerSelect')?.addEventListener('change', (e) => setControllerType(e.target.value));
+    document.getElementById('controllerControl')?.addEventListener('change', (e) => {
+        setControllerType(e.target.value);
+        e.target.blur();
     });
+    document.getElementById('scriptInput')?.addEventListener('change', checkScript);
+
+    // Track Files
+    document.getElementById('loadTrackBtn')?.addEventListener('click', () => document.getElementById('trackFileInput')?.click());
+    document.getElementById('trackFileInput')?.addEventListener('change', (e) => {
+        const file = e.target.files && e.target.files[0];
+        if (file) loadTrackFile(file);
+        e.target.value = ''; // Allow re-loading the same file after fixing it
+    });
+    document.getElementById('saveTrackBtn')?.addEventListener('click', saveTrackFile);
 
     // Track Configuration Toggle
     const equalToggle = document.getElementById('equalLengthToggle');
     equalToggle?.addEventListener('change', updateTrackInputVisibility);
+    document.getElementById('governorToggle')?.addEventListener('change', updateGovernorInput);
     document.getElementById('totalTrackLength')?.addEventListener('change', () => {
         if (equalToggle && equalToggle.checked) {
             updateTerrainStructure();
         }
     });
 
-    // Preset Buttons
-    document.getElementById('presetEarth')?.addEventListener('click', () => applyPreset('Earth'));
-    document.getElementById('presetMoon')?.addEventListener('click', () => applyPreset('Moon'));
-    document.getElementById('presetMars')?.addEventListener('click', () => applyPreset('Mars'));
-    document.getElementById('presetCustom')?.addEventListener('click', () => applyPreset('Performance'));
+    // Ghost Selection - applies immediately before driving off, otherwise from the next restart
+    document.getElementById('ghostSelect')?.addEventListener('change', (e) => {
+        if (state.steps === 0) selectGhostRun();
+        e.target.blur();
+    });
+
+    // Presets
+    document.getElementById('presetGroups')?.addEventListener('click', handlePresetAction);
+    document.getElementById('presetGroups')?.addEventListener('keydown', (e) => {
+        if (!e.target.classList.contains('preset-rename')) return;
+        if (e.key === 'Enter') renamePreset(renamingPresetName, e.target.value);
+        if (e.key === 'Escape') {
+            renamingPresetName = null;
+            renderPresets();
+        }
+    });
+    document.getElementById('savePresetBtn')?.addEventListener('click', saveCurrentPreset);
+    document.getElementById('presetNameInput')?.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') saveCurrentPreset();
+    });
 }
 
 // ===== KEYBOARD CONTROLS =====
 window.addEventListener('keydown', (e) => {
+    // Typing in the menu (surface names, driver scripts) must not drive, pause or reset
+    if (e.target && e.target.closest && e.target.closest('input, textarea')) return;
+    
     if (e.key === 'ArrowUp') {
         keys.up = true;
         document.getElementById('accelerateBtn')?.classList.add('active');
@@ -953,6 +3629,16 @@ window.addEventListener('keydown', (e) => {
     if (e.key === 'r' || e.key === 'R') {
         resetSimulation();
     }
+    if (e.key === 'f' || e.key === 'F') {
+        toggleForceDiagram();
+    }
+    // Manual gearbox; ignored by the simulation otherwise
+    if (e.key === 'e' || e.key === 'E') {
+        simulation.shiftGear(1);
+    }
+    if (e.key === 'q' || e.key === 'Q') {
+        simulation.shiftGear(-1);
+    }
 });
 
 window.addEventListener('keyup', (e) => {
@@ -967,18 +3653,42 @@ window.addEventListener('keyup', (e) => {
 });
 
 // ===== GAME LOOP =====
+
+/** A stopping-position experiment is over once the car has sat still for EXPERIMENT_REST_TIME. */
+function isExperimentAtRest() {
+    return experimentRun !== null && experimentRun.experiment.predict === 'stopPosition' && experimentRun.idle >= EXPERIMENT_REST_TIME;
+}
+
 let lastTime = 0;
 function gameLoop(timestamp) {
-    // Clamp delta time to prevent physics instability from large gaps
-    const dt = Math.min((timestamp - lastTime) / 1000, 0.1); 
+    // Clamp frame time so a throttled tab catches up over several frames instead of all at once
+    const frameTime = Math.min((timestamp - lastTime) / 1000, 0.1); 
     lastTime = timestamp;
     
-    if (!state.finished) {
-        updatePhysics(dt);
+    pollGamepad();
+    if (isRunActive() && !view.paused && !view.runOver) {
+        if (!state.finished) simulation.step(frameTime, controller);
+        stepRivals(frameTime);
+        if (experimentRun) experimentRun.idle = Math.abs(state.vel) < STOP_THRESHOLD && state.maxSpeed > 0 ? experimentRun.idle + frameTime : 0;
+        // With comparison cars the results wait until they are all in (or stuck)
+        if ((state.finished || isExperimentAtRest()) && rivalsDone()) {
+            view.runOver = true;
+            if (state.finished) { // Ghosts and personal bests are whole laps
+                archiveRun();
+                recordRun();
+            }
+            showResults();
+        }
     }
     
+    updateLesson();
+    
+    // Blend between the last two fixed physics steps by how far we are into the next one
+    const renderPos = getRenderPosition(state);
+    
+    updateUI();
     renderSky();
-    renderGame();
+    renderGame(renderPos);
 
     requestAnimationFrame(gameLoop);
 }
@@ -986,20 +3696,46 @@ function gameLoop(timestamp) {
 // Initialization on load
 document.addEventListener('DOMContentLoaded', () => {
     // Initial setup of physics values in UI
-    if (document.getElementById('gravityValue')) document.getElementById('gravityValue').value = GRAVITY.toFixed(2);
-    if (document.getElementById('engineAccel')) document.getElementById('engineAccel').value = ENGINE_ACC.toFixed(2);
-    if (document.getElementById('carMass')) document.getElementById('carMass').value = CAR_MASS.toFixed(0);
-    if (document.getElementById('maxSpeed')) document.getElementById('maxSpeed').value = MAX_SPEED.toFixed(0);
+    if (document.getElementById('gravityValue')) document.getElementById('gravityValue').value = physicsConfig.gravity.toFixed(2);
+    if (document.getElementById('engineForce')) document.getElementById('engineForce').value = physicsConfig.engineForce.toFixed(0);
+    if (document.getElementById('brakeForce')) document.getElementById('brakeForce').value = physicsConfig.brakeForce.toFixed(0);
+    if (document.getElementById('absToggle')) document.getElementById('absToggle').checked = physicsConfig.abs;
+    if (document.getElementById('gearboxSelect')) document.getElementById('gearboxSelect').value = physicsConfig.gearbox || 'none';
+    if (document.getElementById('carMass')) document.getElementById('carMass').value = physicsConfig.mass.toFixed(0);
+    if (document.getElementById('maxSpeed')) document.getElementById('maxSpeed').value = physicsConfig.maxSpeed.toFixed(0);
+    if (document.getElementById('dragCoefficient')) document.getElementById('dragCoefficient').value = physicsConfig.dragCoefficient.toFixed(2);
+    if (document.getElementById('frontalArea')) document.getElementById('frontalArea').value = physicsConfig.frontalArea.toFixed(1);
+    if (document.getElementById('rollingResistance')) document.getElementById('rollingResistance').value = physicsConfig.rollingResistance.toFixed(3);
     
     // Initial setup of track lengths (assuming default 250m inputs exist)
     if (document.getElementById('iceLengthInput')) document.getElementById('iceLengthInput').value = 250;
     if (document.getElementById('sandLengthInput')) document.getElementById('sandLengthInput').value = 250;
     if (document.getElementById('woodLengthInput')) document.getElementById('woodLengthInput').value = 250;
 
+    if (document.getElementById('playerName')) document.getElementById('playerName').value = runHistory.getPlayer();
+    
+    renderSurfaceLibrary();
+    renderPresets();
+    renderConditionOptions();
+    renderSurfacePatchEditor();
+    renderControllerOptions();
+    renderComparisonEditor();
+    updateComparisonVisibility();
+    renderEnergyPanel();
+    renderExperimentOptions();
+    renderLessonList();
+    renderChartPicker(liveChart, 'liveChartSeries', 'liveChartAxis', drawLiveGraph);
+    renderChartPicker(resultsChart, 'resultsChartSeries', 'resultsChartAxis', () => {
+        setChartRun(resultsChart);
+        resultsChart.draw();
+    });
     updateTrackInputVisibility(); 
+    updateGovernorInput();
     updateTerrainStructure();
+    resetSimulation();
     resizeCanvas();
     setupEventListeners();
+    loadScenarioFromHash();
     
     requestAnimationFrame(gameLoop);
 
@@ -0,0 +1,171 @@
+// ====================================================================
+// ===== PRESET LIBRARY ===============================================
+// ====================================================================
+// One-click setups for the physics menu. Planet presets set the environment (gravity and air
+// density) and vehicle presets set the car (mass, engine, brakes, drag), so any planet can be
+// combined with any vehicle. Users can save the menu's current values as their own presets,
+// kept as JSON in a Storage-like object (window.localStorage in the browser):
+//
+//     const { createPresetLibrary } = require('./preset-library.js');
+//     const library = createPresetLibrary(); // in-memory, nothing persisted
+//     library.save({ name: 'Moon buggy', physics: { gravity: 1.62, airDensity: 0, mass: 210 } });
+
+const presetCore = (globalThis.importShared || require('./simulation.js').importShared)(
+    ['./track-format.js'],
+    () => ({ validatePhysics })
+);
+
+const PRESET_LIBRARY_KEY = 'surfaceMatters.presetLibrary';
+const MAX_PRESET_NAME_LENGTH = 30;
+
+// PRESET KINDS - how the menu groups presets; user presets are always 'custom'
+const PRESET_KINDS = {
+    planet: '🪐 Planets',
+    vehicle: '🚗 Vehicles',
+    custom: '⭐ My Presets'
+};
+
+// BUILT-IN PRESETS - physics in the track file "physics" form (see track-format.js)
+const BUILTIN_PRESETS = [
+    { name: 'Earth', emoji: '🌍', kind: 'planet', physics: { gravity: 9.81, airDensity: 1.225 } },
+    { name: 'Moon', emoji: '🌙', kind: 'planet', physics: { gravity: 1.62, airDensity: 0 } },
+    { name: 'Mars', emoji: '🔴', kind: 'planet', physics: { gravity: 3.71, airDensity: 0.020 } },
+    { name: 'Venus', emoji: '🟡', kind: 'planet', physics: { gravity: 8.87, airDensity: 65 } },
+    // Jupiter has no ground: this is its cloud-top gravity with air at the 1 bar level
+    { name: 'Jupiter', emoji: '🟠', kind: 'planet', physics: { gravity: 24.79, airDensity: 0.16 } },
+    { name: 'Titan', emoji: '🟤', kind: 'planet', physics: { gravity: 1.352, airDensity: 5.3 } },
+    {
+        name: 'Family car', emoji: '🚗', kind: 'vehicle',
+        physics: { mass: 1000, engineForce: 6000, brakeForce: 10000, maxSpeed: 50, dragCoefficient: 0.30, frontalArea: 2.2, rollingResistance: 0.015 }
+    },
+    {
+        name: 'Sports car', emoji: '🏎️', kind: 'vehicle',
+        physics: { mass: 1300, engineForce: 13000, brakeForce: 16000, maxSpeed: 85, dragCoefficient: 0.30, frontalArea: 1.9, rollingResistance: 0.012 }
+    },
+    {
+        name: 'Truck', emoji: '🚚', kind: 'vehicle',
+        physics: { mass: 12000, engineForce: 30000, brakeForce: 80000, maxSpeed: 25, dragCoefficient: 0.70, frontalArea: 8.5, rollingResistance: 0.007 }
+    },
+    {
+        name: 'Bicycle', emoji: '🚲', kind: 'vehicle',
+        physics: { mass: 90, engineForce: 50, brakeForce: 500, maxSpeed: 15, dragCoefficient: 0.90, frontalArea: 0.5, rollingResistance: 0.004 }
+    }
+];
+
+/**
+ * Checks a preset. Returns the cleaned-up preset, or null after adding to errors.
+ */
+function validatePreset(preset, errors) {
+    if (!preset || typeof preset !== 'object') {
+        errors.push('The preset must be an object.');
+        return null;
+    }
+
+    const before = errors.length;
+    const name = typeof preset.name === 'string' ? preset.name.trim() : '';
+    if (!name || name.length > MAX_PRESET_NAME_LENGTH) {
+        errors.push(`The name must be 1 to ${MAX_PRESET_NAME_LENGTH} characters.`);
+    }
+    const physics = preset.physics === undefined ? null : presetCore.validatePhysics(preset.physics, errors);
+    if (physics && !Object.keys(physics).length) errors.push('The preset does not set anything.');
+    else if (!physics && errors.length === before) errors.push('"physics" is required.');
+
+    if (errors.length > before) return null;
+    return {
+        name: name,
+        emoji: typeof preset.emoji === 'string' && preset.emoji ? preset.emoji : '⭐',
+        kind: 'custom',
+        physics: physics
+    };
+}
+
+/**
+ * Creates a preset library backed by storage (anything with getItem/setItem, or null to keep
+ * it in memory), like the surface library.
+ */
+function createPresetLibrary(storage = null) {
+    let saved = load();
+
+    function load() {
+        if (!storage) return [];
+        try {
+            const data = JSON.parse(storage.getItem(PRESET_LIBRARY_KEY) || '[]');
+            if (!Array.isArray(data)) return [];
+            return data.map(entry => validatePreset(entry, [])).filter(Boolean);
+        } catch (err) {
+            return [];
+        }
+    }
+
+    function persist() {
+        if (!storage) return;
+        try {
+            storage.setItem(PRESET_LIBRARY_KEY, JSON.stringify(saved));
+        } catch (err) {
+            // Not saved; the presets stay in memory for this session
+        }
+    }
+
+    function isBuiltIn(name) {
+        return BUILTIN_PRESETS.some(p => p.name === name);
+    }
+
+    /** Every preset: the built-ins in their fixed order, then the user's. */
+    function getAll() {
+        return BUILTIN_PRESETS.concat(saved);
+    }
+
+    function get(name) {
+        return getAll().find(p => p.name === name) || null;
+    }
+
+    /**
+     * Adds a user preset, or replaces previousName with it. Returns { preset, errors } like the
+     * track file validators: preset is null unless errors is empty.
+     */
+    function save(preset, previousName = null) {
+        const errors = [];
+        const valid = validatePreset(preset, errors);
+        if (!valid) return { preset: null, errors };
+
+        if (isBuiltIn(valid.name) || (valid.name !== previousName && get(valid.name))) {
+            errors.push(`A preset named "${valid.name}" already exists.`);
+        } else if (previousName && !saved.some(p => p.name === previousName)) {
+            errors.push(`There is no saved preset named "${previousName}".`);
+        }
+        if (errors.length) return { preset: null, errors };
+
+        const index = saved.findIndex(p => p.name === (previousName || valid.name));
+        if (index >= 0) saved[index] = valid;
+        else saved.push(valid);
+        persist();
+        return { preset: valid, errors: [] };
+    }
+
+    /** Renames a user preset, keeping its values. Returns { preset, errors } like save. */
+    function rename(name, newName) {
+        const preset = saved.find(p => p.name === name);
+        if (!preset) return { preset: null, errors: [`There is no saved preset named "${name}".`] };
+        return save({ ...preset, name: newName }, name);
+    }
+
+    /** Deletes a user preset; built-ins cannot be deleted. */
+    function remove(name) {
+        const count = saved.length;
+        saved = saved.filter(p => p.name !== name);
+        persist();
+        return saved.length !== count;
+    }
+
+    return { getAll, get, isBuiltIn, save, rename, remove };
+}
+
+// Node / CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PRESET_KINDS,
+        BUILTIN_PRESETS,
+        PRESET_LIBRARY_KEY,
+        createPresetLibrary
+    };
+}
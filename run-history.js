@@ -0,0 +1,182 @@
+// ====================================================================
+// ===== RUN HISTORY ==================================================
+// ====================================================================
+// Completed runs, remembered across sessions so a class can compete over several periods.
+// Each run carries a hash of its track layout and physics constants, and only runs with the
+// same hash are ranked against each other. Saved as JSON in a Storage-like object
+// (window.localStorage in the browser):
+//
+//     const { createRunHistory, hashConfigKey } = require('./run-history.js');
+//     const history = createRunHistory(); // in-memory, nothing persisted
+//     history.add({ configHash: hashConfigKey(key), track: 'ICE 250 m', player: 'Sam', driver: 'Manual',
+//                   time: 24.01, avgSpeed: 31.2, maxSpeed: 40.1 });
+
+const RUN_HISTORY_KEY = 'surfaceMatters.runHistory';
+const RUN_PLAYER_KEY = 'surfaceMatters.playerName';
+const RUN_HISTORY_LIMIT = 1000; // Beyond this the oldest runs are dropped, to stay inside storage quotas
+
+// RUN SORTS - leaderboard orderings; ties go to the earlier run
+const RUN_SORTS = {
+    time: { label: 'Fastest time', compare: (a, b) => a.time - b.time },
+    avgSpeed: { label: 'Highest average speed', compare: (a, b) => b.avgSpeed - a.avgSpeed },
+    maxSpeed: { label: 'Highest top speed', compare: (a, b) => b.maxSpeed - a.maxSpeed },
+    date: { label: 'Newest first', compare: (a, b) => b.date - a.date }
+};
+
+/**
+ * Short, stable hash (32-bit FNV-1a, as 8 hex digits) of a run configuration key.
+ */
+function hashConfigKey(key) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < key.length; i++) {
+        hash ^= key.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/** The saved form of a run, or null if entry is not one (e.g. hand-edited storage). */
+function validateRunRecord(entry) {
+    if (!entry || typeof entry !== 'object') return null;
+    const numbers = ['id', 'date', 'time', 'avgSpeed', 'maxSpeed'];
+    const strings = ['configHash', 'track', 'player', 'driver'];
+    if (numbers.some(key => typeof entry[key] !== 'number' || !isFinite(entry[key]))) return null;
+    if (strings.some(key => typeof entry[key] !== 'string')) return null;
+    const run = {};
+    numbers.concat(strings).forEach(key => { run[key] = entry[key]; });
+    return run;
+}
+
+/**
+ * Creates a run history backed by storage (anything with getItem/setItem, or null to keep it
+ * in memory), like the surface library.
+ */
+function createRunHistory(storage = null) {
+    let runs = load();
+
+    function load() {
+        if (!storage) return [];
+        try {
+            const data = JSON.parse(storage.getItem(RUN_HISTORY_KEY) || '[]');
+            if (!Array.isArray(data)) return [];
+            return data.map(validateRunRecord).filter(Boolean);
+        } catch (err) {
+            return [];
+        }
+    }
+
+    function persist() {
+        if (!storage) return;
+        try {
+            storage.setItem(RUN_HISTORY_KEY, JSON.stringify(runs));
+        } catch (err) {
+            // Not saved; the runs stay in memory for this session
+        }
+    }
+
+    /**
+     * Best (fastest) run for a configuration, optionally only one player's with one driver.
+     */
+    function getBest(configHash, player = null, driver = null) {
+        return runs
+            .filter(run => run.configHash === configHash
+                && (player === null || run.player === player)
+                && (driver === null || run.driver === driver))
+            .reduce((best, run) => (!best || run.time < best.time ? run : best), null);
+    }
+
+    /**
+     * Records a completed run. Returns { run, previousBest }: previousBest is the same player's
+     * best with the same driver on this configuration before this run, or null for a first run.
+     */
+    function add(run) {
+        const record = validateRunRecord({
+            ...run,
+            id: runs.reduce((max, r) => Math.max(max, r.id), 0) + 1,
+            date: typeof run.date === 'number' ? run.date : Date.now(),
+            player: (run.player || '').trim() || 'Anonymous'
+        });
+        if (!record) return { run: null, previousBest: null };
+
+        const previousBest = getBest(record.configHash, record.player, record.driver);
+        runs.push(record);
+        if (runs.length > RUN_HISTORY_LIMIT) runs = runs.slice(runs.length - RUN_HISTORY_LIMIT);
+        persist();
+        return { run: record, previousBest };
+    }
+
+    /**
+     * Runs matching a filter, sorted by a RUN_SORTS key. Filter fields are all optional:
+     * configHash and driver match exactly, player matches any part of the name.
+     */
+    function query({ configHash = '', player = '', driver = '', sort = 'time' } = {}) {
+        const search = player.trim().toLowerCase();
+        const compare = (RUN_SORTS[sort] || RUN_SORTS.time).compare;
+        return runs
+            .filter(run => (!configHash || run.configHash === configHash)
+                && (!driver || run.driver === driver)
+                && (!search || run.player.toLowerCase().includes(search)))
+            .sort((a, b) => compare(a, b) || a.id - b.id);
+    }
+
+    /** Every configuration with saved runs, most recently driven first: { configHash, track, count }. */
+    function getConfigurations() {
+        const configurations = [];
+        runs.slice().reverse().forEach(run => {
+            const existing = configurations.find(c => c.configHash === run.configHash);
+            if (existing) existing.count++;
+            else configurations.push({ configHash: run.configHash, track: run.track, count: 1 });
+        });
+        return configurations;
+    }
+
+    /** Every driver name in the history, alphabetically. */
+    function getDrivers() {
+        return Array.from(new Set(runs.map(run => run.driver))).sort();
+    }
+
+    function remove(id) {
+        const count = runs.length;
+        runs = runs.filter(run => run.id !== id);
+        persist();
+        return runs.length !== count;
+    }
+
+    /** Deletes several runs at once (e.g. everything a filter shows). Returns how many went. */
+    function removeAll(ids) {
+        const count = runs.length;
+        runs = runs.filter(run => !ids.includes(run.id));
+        persist();
+        return count - runs.length;
+    }
+
+    function getPlayer() {
+        if (!storage) return '';
+        try {
+            return storage.getItem(RUN_PLAYER_KEY) || '';
+        } catch (err) {
+            return '';
+        }
+    }
+
+    function setPlayer(name) {
+        if (!storage) return;
+        try {
+            storage.setItem(RUN_PLAYER_KEY, name.trim());
+        } catch (err) {
+            // Not remembered; runs still record the name typed this session
+        }
+    }
+
+    return { add, getBest, query, getConfigurations, getDrivers, remove, removeAll, getPlayer, setPlayer };
+}
+
+// Node / CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RUN_HISTORY_KEY,
+        RUN_SORTS,
+        hashConfigKey,
+        createRunHistory
+    };
+}
@@ -0,0 +1,120 @@
+// ====================================================================
+// ===== SCENARIO LINKS ===============================================
+// ====================================================================
+// A whole scenario - track, physics, conditions and driver - packed into the URL hash, so a
+// teacher can post one link per assignment and every student starts from the same setup:
+//
+//     index.html#scenario=<payload>         fills in the menu
+//     index.html#scenario=<payload>&run=1   ...and starts the run straight away
+//
+// The payload is base64url-encoded JSON: a track file (see track-format.js) without its
+// "format" field, shortened by leaving out built-in surfaces it uses unchanged and physics
+// left at the defaults, plus an optional "driver" as in experiment files (see experiments.js).
+
+const linkCore = (globalThis.importShared || require('./simulation.js').importShared)(
+    ['./simulation.js', './track-format.js', './surface-library.js', './experiments.js'],
+    () => ({ DEFAULT_CONFIG, TRACK_FORMAT_ID, BUILTIN_SURFACES, validateTrackDefinition, validateDriver })
+);
+
+const SCENARIO_HASH_KEY = 'scenario';
+const SCENARIO_RUN_KEY = 'run';
+
+function encodeBase64Url(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+}
+
+function sameSurface(a, b) {
+    return ['name', 'emoji', 'muStatic', 'muKinetic', 'rollingResistance', 'color', 'darkColor'].every(key => a[key] === b[key]);
+}
+
+/**
+ * Shortens a track file object for a link: drops the built-in surfaces it repeats unchanged,
+ * empty names, descriptions and slope lists, and physics values equal to DEFAULT_CONFIG.
+ */
+function compactTrackFile(file) {
+    const { format: _omit, ...compact } = file;
+    if (!compact.name) delete compact.name;
+    if (!compact.description) delete compact.description;
+
+    const surfaces = (compact.surfaces || []).filter(surface => !linkCore.BUILTIN_SURFACES.some(builtIn => sameSurface(builtIn, surface)));
+    if (surfaces.length) compact.surfaces = surfaces;
+    else delete compact.surfaces;
+
+    compact.segments = compact.segments.map(segment => {
+        const { slopes, ...rest } = segment;
+        return slopes && slopes.length ? segment : rest;
+    });
+
+    if (compact.physics) {
+        const physics = {};
+        Object.keys(compact.physics).forEach(key => {
+            if (compact.physics[key] !== linkCore.DEFAULT_CONFIG[key]) physics[key] = compact.physics[key];
+        });
+        if (Object.keys(physics).length) compact.physics = physics;
+        else delete compact.physics;
+    }
+    return compact;
+}
+
+/**
+ * The URL hash for a scenario: file is a track file object (e.g. JSON.parse of serializeTrack),
+ * driver an experiment-style driver ({ type, ...options }) or null for manual driving.
+ */
+function createScenarioHash(file, driver = null, autostart = false) {
+    const payload = compactTrackFile(file);
+    if (driver && driver.type !== 'manual') payload.driver = driver;
+    return `#${SCENARIO_HASH_KEY}=${encodeBase64Url(JSON.stringify(payload))}${autostart ? `&${SCENARIO_RUN_KEY}=1` : ''}`;
+}
+
+/**
+ * Reads a scenario back from a URL hash. Returns { scenario, errors } like the file validators,
+ * where scenario is { track, driver, autostart } with track as validateTrackDefinition gives it
+ * and driver as validateDriver gives it. A hash without a scenario gives no scenario and no errors.
+ */
+function parseScenarioHash(hash) {
+    const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+    const encoded = params.get(SCENARIO_HASH_KEY);
+    if (encoded === null) return { scenario: null, errors: [] };
+
+    let data;
+    try {
+        data = JSON.parse(decodeBase64Url(encoded));
+    } catch (err) {
+        return { scenario: null, errors: ['The link is damaged or incomplete - ask for it again, or copy the whole address.'] };
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { scenario: null, errors: ['The link does not contain a scenario.'] };
+    }
+
+    const errors = [];
+    const { driver: driverData, ...trackData } = data;
+    const driver = linkCore.validateDriver(driverData, errors);
+    // Built-in surfaces as shipped, so a student's own library edits cannot change the scenario
+    const result = linkCore.validateTrackDefinition({ format: linkCore.TRACK_FORMAT_ID, ...trackData }, linkCore.BUILTIN_SURFACES);
+    result.errors.forEach(error => errors.push(`Track: ${error}`));
+
+    if (errors.length) return { scenario: null, errors };
+    return {
+        scenario: { track: result.track, driver: driver, autostart: params.get(SCENARIO_RUN_KEY) === '1' },
+        errors: []
+    };
+}
+
+// Node / CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SCENARIO_HASH_KEY,
+        compactTrackFile,
+        createScenarioHash,
+        parseScenarioHash
+    };
+}
@@ -0,0 +1,955 @@
+// ====================================================================
+// ===== SIMULATION CORE (Headless, DOM-free) =========================
+// ====================================================================
+// Pure car physics for Surface Matters. Nothing in this file touches the DOM or a canvas:
+// main.js is just one consumer. Under Node it can be loaded with require('./simulation.js')
+// for batch runs and tests:
+//
+//     const { createSimulation, FIXED_DT } = require('./simulation.js');
+//     const sim = createSimulation({ gravity: 1.62 });
+//     while (!sim.getState().finished) sim.step(FIXED_DT, { throttle: 1, brake: 0 });
+//     console.log(sim.getState().time);
+
+const STOP_THRESHOLD = 0.01; // m/s - below this the car is treated as stopped (static friction regime)
+const ABS_EFFICIENCY = 0.95; // Share of peak grip (μs·N) ABS holds the brakes at while it cycles them
+const STOP_PREDICTION_TIME = 60; // s - predictStop() gives up after this much simulated time
+const ENERGY_TOLERANCE = 0.01; // energy.drift allowed before the balance counts as broken (integration error)
+
+// INTEGRATION - physics always advances in fixed steps so identical inputs give identical runs
+const FIXED_DT = 1 / 120; // s
+const INTEGRATORS = ['euler', 'semi-implicit', 'rk4'];
+const HISTORY_INTERVAL = 0.2; // s between recorded history samples (plus every step μ changes)
+
+// Base Slope Profile (used for proportional scaling)
+const BASE_SLOPES = {
+    ICE: [
+        { angle: 0, length: 50 }, { angle: -5, length: 50 }, { angle: -7, length: 50 },
+        { angle: 3, length: 50 }, { angle: 8, length: 50 }
+    ],
+    SAND: [
+        { angle: 4, length: 50 }, { angle: 9, length: 50 }, { angle: 0, length: 50 },
+        { angle: -6, length: 50 }, { angle: 5, length: 50 }
+    ],
+    WOOD: [
+        { angle: -3, length: 50 }, { angle: -8, length: 50 }, { angle: 6, length: 50 },
+        { angle: 10, length: 50 }, { angle: 2, length: 50 }
+    ]
+};
+
+// SURFACE DEFINITIONS - the default ICE → SAND → WOOD track, in order. A surface may also set its own
+// rollingResistance (Crr); without one the car's config.rollingResistance applies.
+const DEFAULT_SURFACES = [
+    { name: 'ICE', emoji: '🧊', muStatic: 0.20, muKinetic: 0.15, color: '#a5f3fc', darkColor: '#06b6d4' },
+    { name: 'SAND', emoji: '🏖️', muStatic: 0.80, muKinetic: 0.70, color: '#fde047', darkColor: '#eab308' },
+    { name: 'WOOD', emoji: '🪵', muStatic: 0.50, muKinetic: 0.40, color: '#d97706', darkColor: '#92400e' }
+];
+
+// SURFACE CONDITIONS - multiply a surface's μs and μk. The weather covers the whole track and
+// patches cover a stretch of it; where both apply their factors stack. patchOnly ones are never weather.
+const SURFACE_CONDITIONS = {
+    dry: { name: 'Dry', emoji: '☀️', muFactor: 1 },
+    wet: { name: 'Rain', emoji: '🌧️', muFactor: 0.7 },
+    frozen: { name: 'Frost', emoji: '🥶', muFactor: 0.4 },
+    dusty: { name: 'Dust', emoji: '💨', muFactor: 0.8 },
+    puddle: { name: 'Puddle', emoji: '💧', muFactor: 0.5, patchOnly: true }
+};
+
+// SURFACE TRANSITIONS - how a track blends μ across each change of surface (see surfaceAt). The
+// surfaces are averaged over a zone centred on the car; share(u, half) is the part of that average
+// taken from the zone's start up to u metres from its centre (-half ≤ u ≤ half).
+const SURFACE_TRANSITIONS = {
+    // Evenly: μ ramps in a straight line across the zone
+    linear: { name: 'Linear', share: (u, half) => (u + half) / (2 * half) },
+    // Weighted towards the centre: μ eases out of one surface and into the next (an S-curve)
+    smooth: {
+        name: 'Smooth',
+        share: (u, half) => (u < 0 ? (u + half) * (u + half) : 2 * half * half - (half - u) * (half - u)) / (2 * half * half)
+    }
+};
+
+// DRIVETRAIN - only with a gearbox (config.gearbox 'automatic' or 'manual'); without one the engine
+// is the classic constant push of engineForce × throttle. With one, engineForce is the peak drive
+// force in first gear: the torque curve and the gear scale it, and the tyres' grip caps it.
+// It stays opt-in: the classic model treats surface friction as a resistance, which is what the
+// lessons and experiments teach (a car stalls on sand, crawls on wood). With a gearbox the same μ
+// is grip instead, so on a flat track sand outruns wood and only ice is slower.
+const GEAR_RATIOS = [3.5, 2.2, 1.5, 1.1, 0.85];
+const FINAL_DRIVE = 3.9;
+const WHEEL_RADIUS = 0.32; // m
+const IDLE_RPM = 1000; // Below first gear's matching road speed the clutch slips to hold the engine here
+const REDLINE_RPM = 6500; // Rev limiter: no torque at or above this
+const UPSHIFT_RPM = 6000; // Automatic gearbox shift points
+const DOWNSHIFT_RPM = 2500;
+const SHIFT_TIME = 0.3; // s with no drive while a gear change completes
+const GEARBOXES = ['automatic', 'manual'];
+
+// TORQUE CURVE - [share of redline rpm, share of peak torque], interpolated linearly
+const TORQUE_CURVE = [[0, 0.6], [0.15, 0.7], [0.4, 0.95], [0.6, 1], [0.85, 0.9], [1, 0.75]];
+
+// PHYSICS DEFAULTS - any of these can be overridden in createSimulation(config)
+const DEFAULT_CONFIG = {
+    gravity: 9.8, // m/s²
+    engineForce: 6000, // N
+    brakeForce: 10000, // N at full pedal, but never more than the tyres' grip (see computeForces)
+    abs: false, // Anti-lock brakes: hold braking just under the grip limit instead of locking the wheels
+    mass: 1000, // kg
+    maxSpeed: 50, // m/s, or null when the speed governor is off
+    airDensity: 1.225, // kg/m³ (sea level)
+    dragCoefficient: 0.30, // Cd
+    frontalArea: 2.2, // m²
+    rollingResistance: 0.015, // Crr, for surfaces that do not set their own
+    integrator: 'semi-implicit', // One of INTEGRATORS
+    gearbox: null, // null (classic constant engine force) or one of GEARBOXES (see DRIVETRAIN)
+    conditions: { weather: 'dry', patches: [] }, // patches: { condition, start, end } in metres (see SURFACE_CONDITIONS)
+    terrains: null // Built track (see buildTerrains); defaults to 250 m of each surface
+};
+
+// ====================================================================
+// ===== TRACK GEOMETRY ===============================================
+// ====================================================================
+
+/**
+ * Lays out track segments end to end. Each segment is { surface, length, slopes }, where
+ * surface names an entry in surfaces and slopes is a list of { angle, length } pieces whose
+ * lengths are relative and get scaled to fill the segment (an empty list means flat).
+ * Returns terrains with start/end/slopes in absolute track positions.
+ *
+ * layout may add surface patches and a transition:
+ *   patches     spots of another surface, { surface, start, end } with surface a surface object
+ *               and start/end in metres from the track start; cut into the segments they cover
+ *               (where two overlap, the one that starts first keeps the overlap)
+ *   transition  { length, shape } blends μ over length metres at every change of surface, with
+ *               shape a SURFACE_TRANSITIONS key; null (the default) changes it in one step
+ * Every terrain gets its patches (absolute positions, in order) and the track's transition.
+ */
+function buildTrack(segments, surfaces = DEFAULT_SURFACES, layout = {}) {
+    const transition = layout.transition && layout.transition.length > 0 && SURFACE_TRANSITIONS[layout.transition.shape]
+        ? { length: layout.transition.length, shape: layout.transition.shape }
+        : null;
+    let covered = -Infinity;
+    const patches = (layout.patches || [])
+        .slice()
+        .sort((a, b) => a.start - b.start)
+        .map(patch => {
+            const start = Math.max(patch.start, covered);
+            covered = Math.max(covered, patch.end);
+            return { ...patch, start: start };
+        })
+        .filter(patch => patch.end > patch.start);
+    let currentPos = 0;
+
+    return segments.map(segment => {
+        const surface = surfaces.find(s => s.name === segment.surface) || surfaces[0];
+        const baseSlopes = segment.slopes && segment.slopes.length ? segment.slopes : [{ angle: 0, length: 1 }];
+        const baseTotalLength = baseSlopes.reduce((sum, slope) => sum + slope.length, 0);
+        const scaleFactor = segment.length / baseTotalLength;
+
+        let slopeStart = currentPos;
+        const newSlopes = baseSlopes.map(baseSlope => {
+            const newSlopeLength = baseSlope.length * scaleFactor;
+            const slope = { start: slopeStart, end: slopeStart + newSlopeLength, angle: baseSlope.angle };
+            slopeStart += newSlopeLength;
+            return slope;
+        });
+
+        const terrain = {
+            ...surface,
+            length: segment.length,
+            start: currentPos,
+            end: currentPos + segment.length,
+            slopes: newSlopes,
+            patches: [],
+            transition: transition
+        };
+        patches.forEach(patch => {
+            const start = Math.max(patch.start, terrain.start);
+            const end = Math.min(patch.end, terrain.end);
+            if (end > start) terrain.patches.push({ ...patch.surface, start: start, end: end });
+        });
+
+        currentPos = terrain.end;
+        return terrain;
+    });
+}
+
+/**
+ * The classic layout: one segment per surface with the given lengths (m), each using
+ * its base slope profile scaled proportionally to fit.
+ */
+function buildTerrains(lengths, surfaces = DEFAULT_SURFACES, layout = {}) {
+    return buildTrack(surfaces.map((surface, index) => ({
+        surface: surface.name,
+        length: lengths[index],
+        slopes: BASE_SLOPES[surface.name]
+    })), surfaces, layout);
+}
+
+function terrainAt(terrains, position) {
+    return terrains.find(t => position >= t.start && position < t.end) || terrains[terrains.length - 1];
+}
+
+/**
+ * The stretches of single surface between from and to: each terrain's surface with its patches
+ * cut in, as { start, end, surface }. The first and last stretch run on past the track's ends.
+ */
+function surfaceStretches(terrains, from, to) {
+    const stretches = [];
+    terrains.forEach((terrain, index) => {
+        const start = index === 0 ? -Infinity : terrain.start;
+        const end = index === terrains.length - 1 ? Infinity : terrain.end;
+        if (end <= from || start >= to) return;
+
+        let cursor = start;
+        (terrain.patches || []).forEach(patch => {
+            if (patch.start > cursor) stretches.push({ start: cursor, end: patch.start, surface: terrain });
+            stretches.push({ start: patch.start, end: patch.end, surface: patch });
+            cursor = patch.end;
+        });
+        if (end > cursor) stretches.push({ start: cursor, end: end, surface: terrain });
+    });
+    return stretches.filter(stretch => stretch.end > from && stretch.start < to);
+}
+
+/**
+ * The surface under the car: a patch where one lies, otherwise the segment's own. With a
+ * transition, μ and rolling resistance are averaged over the transition zone centred on the
+ * position (see SURFACE_TRANSITIONS), so they change smoothly across every change of surface.
+ * Returns { surface, mix, muStatic, muKinetic, rollingResistance }: mix lists each surface in the
+ * zone as { surface, weight } (weights add up to 1), and surface is the heaviest of them.
+ * Surfaces without their own rolling resistance use carRollingResistance.
+ */
+function surfaceAt(terrains, position, carRollingResistance = DEFAULT_CONFIG.rollingResistance) {
+    const transition = terrains[0] && terrains[0].transition;
+    const half = transition ? transition.length / 2 : 0;
+    const mix = [];
+
+    if (!transition) {
+        const terrain = terrainAt(terrains, position);
+        const patch = (terrain.patches || []).find(p => position >= p.start && position < p.end);
+        mix.push({ surface: patch || terrain, weight: 1 });
+    } else {
+        const share = u => SURFACE_TRANSITIONS[transition.shape].share(Math.max(-half, Math.min(half, u)), half);
+        surfaceStretches(terrains, position - half, position + half).forEach(stretch => {
+            const weight = share(stretch.end - position) - share(stretch.start - position);
+            const existing = mix.find(entry => entry.surface.name === stretch.surface.name);
+            if (existing) existing.weight += weight;
+            else if (weight > 0) mix.push({ surface: stretch.surface, weight: weight });
+        });
+    }
+
+    const blend = value => mix.reduce((sum, entry) => sum + value(entry.surface) * entry.weight, 0);
+    return {
+        surface: mix.reduce((heaviest, entry) => (entry.weight > heaviest.weight ? entry : heaviest)).surface,
+        mix: mix,
+        muStatic: blend(surface => surface.muStatic),
+        muKinetic: blend(surface => surface.muKinetic),
+        rollingResistance: blend(surface => (typeof surface.rollingResistance === 'number' ? surface.rollingResistance : carRollingResistance))
+    };
+}
+
+function slopeAt(terrain, position) {
+    const slope = terrain.slopes.find(s => position >= s.start && position < s.end);
+    return slope ? slope.angle : 0;
+}
+
+/**
+ * Height (m) above the start line for drawing, treating position as horizontal distance.
+ */
+function terrainHeightAt(terrains, position) {
+    return heightAlong(terrains, position, Math.tan);
+}
+
+/**
+ * Height (m) above the start line as the physics sees it: position is distance travelled along
+ * the surface, so each slope rises by sin θ per metre. Potential energy uses this.
+ */
+function elevationAt(terrains, position) {
+    return heightAlong(terrains, position, Math.sin);
+}
+
+function heightAlong(terrains, position, rise) {
+    if (position <= 0) return 0;
+
+    let accumulatedHeight = 0;
+
+    for (const terrain of terrains) {
+        if (position < terrain.start) break;
+
+        for (const slope of terrain.slopes) {
+
+            if (position <= slope.start) {
+                break;
+            } else if (position >= slope.end) {
+                const segmentLength = slope.end - slope.start;
+                accumulatedHeight += segmentLength * rise((slope.angle * Math.PI) / 180);
+            } else {
+                const distanceInSlope = position - slope.start;
+                accumulatedHeight += distanceInSlope * rise((slope.angle * Math.PI) / 180);
+                return accumulatedHeight;
+            }
+        }
+    }
+
+    return accumulatedHeight;
+}
+
+/**
+ * The conditions acting at a position - the weather plus every patch covering it - and their
+ * combined μ multiplier. Unknown condition names are ignored.
+ */
+function conditionsAt(conditions, position) {
+    const active = [];
+    let muFactor = 1;
+    const apply = name => {
+        if (!SURFACE_CONDITIONS[name] || name === 'dry') return;
+        active.push(name);
+        muFactor *= SURFACE_CONDITIONS[name].muFactor;
+    };
+
+    if (conditions) {
+        apply(conditions.weather);
+        (conditions.patches || []).forEach(patch => {
+            if (position >= patch.start && position < patch.end) apply(patch.condition);
+        });
+    }
+    return { active, muFactor };
+}
+
+// ====================================================================
+// ===== DRIVETRAIN ===================================================
+// ====================================================================
+
+/** Engine speed in a gear at a road speed, never below idle (the clutch slips there). */
+function engineRpm(speed, gear) {
+    const wheelRpm = (Math.abs(speed) / WHEEL_RADIUS) * 60 / (2 * Math.PI);
+    return Math.max(IDLE_RPM, wheelRpm * GEAR_RATIOS[gear - 1] * FINAL_DRIVE);
+}
+
+/** Share of peak torque the engine makes at an rpm (see TORQUE_CURVE); 0 on the rev limiter. */
+function torqueShare(rpm) {
+    const x = rpm / REDLINE_RPM;
+    if (x >= 1) return 0;
+    for (let i = 1; i < TORQUE_CURVE.length; i++) {
+        const [x1, y1] = TORQUE_CURVE[i];
+        if (x <= x1) {
+            const [x0, y0] = TORQUE_CURVE[i - 1];
+            return y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+        }
+    }
+    return 0;
+}
+
+// ====================================================================
+// ===== SIMULATION ===================================================
+// ====================================================================
+
+/** Pedal inputs limited to 0..1; anything missing or not a number counts as released. */
+function clampInputs(raw) {
+    const clamp = value => (typeof value === 'number' && value > 0 ? Math.min(value, 1) : 0);
+    return { throttle: clamp(raw && raw.throttle), brake: clamp(raw && raw.brake) };
+}
+
+/**
+ * Creates an independent simulation run.
+ *
+ * step(dt, inputs) advances by dt seconds in FIXED_DT sub-steps, carrying any remainder over
+ * to the next call, so the result depends only on the inputs and never on how dt is sliced.
+ * inputs is { throttle, brake }, each 0 (released) to 1 (fully pressed), or a controller
+ * (see controllers.js) whose update(observation, dt) is asked for them before every fixed step.
+ *
+ * setConditions(conditions) swaps the weather and patches mid-run (until the next reset).
+ *
+ * shiftGear(delta) moves a manual gearbox up (+1) or down (-1) a gear; false if it could not.
+ *
+ * predictStop() looks ahead to where the car would stop if the pedals stayed as they are.
+ *
+ * getState() returns the live state object; treat it as read-only.
+ */
+function createSimulation(config = {}) {
+    const cfg = { ...DEFAULT_CONFIG, ...config };
+    if (!INTEGRATORS.includes(cfg.integrator)) cfg.integrator = DEFAULT_CONFIG.integrator;
+    if (!GEARBOXES.includes(cfg.gearbox)) cfg.gearbox = null;
+
+    const terrains = cfg.terrains || buildTerrains([250, 250, 250]);
+    const trackLength = terrains.length ? terrains[terrains.length - 1].end : 0;
+
+    const state = {};
+    let inputs = { throttle: 0, brake: 0 };
+    let accumulator = 0;
+    let previousSample = null; // History sample of the latest step, recorded or not
+
+    function reset() {
+        Object.assign(state, {
+            pos: 0,
+            prevPos: 0, // Position before the latest fixed step, used for render interpolation
+            vel: 0,
+            acc: 0,
+            time: 0,
+            trackLength: trackLength,
+            finished: false,
+            history: [],
+            maxSpeed: 0,
+            frictionMode: 'static', // 'static' while stuck in place, 'kinetic' while sliding/rolling
+            brakeMode: 'off', // 'off', 'rolling', 'locked' or 'abs' (see computeForces)
+            gear: cfg.gearbox ? 1 : null, // Current gear (1 = first), or null without a gearbox
+            rpm: cfg.gearbox ? IDLE_RPM : null, // Engine speed, or null without a gearbox
+            wheelspin: false, // True while the drive wheels spin because the engine asked for more than the grip
+            shiftTimer: 0, // s left of the gear change in progress
+            gearLog: [], // { step, t, gear } at every gear change
+            forces: null, // Latest force breakdown in newtons (see computeForces)
+            losses: { friction: 0, drag: 0, rolling: 0, brake: 0, limits: 0 }, // Energy dissipated so far, in joules
+            // (limits: taken away by the speed governor and the start-line wall rather than a force)
+            energy: { kinetic: 0, potential: 0, engine: 0, dissipated: 0, residual: 0, drift: 0 }, // Work-energy balance in joules
+            terrainStats: {}, // Per-surface top speed and losses, keyed by terrain name
+            steps: 0, // Fixed steps taken so far
+            inputLog: [], // { step, t, throttle, brake } each time the inputs change
+            conditions: cfg.conditions, // Weather and patches in force (see setConditions)
+            conditionLog: [], // { step, t, conditions } each time setConditions changes them mid-run
+            trajectory: [], // Position after every fixed step, at FIXED_DT resolution
+            alpha: 0 // Fraction of a fixed step carried over to the next step() call
+        });
+        inputs = { throttle: 0, brake: 0 };
+        accumulator = 0;
+        previousSample = null;
+    }
+
+    /**
+     * Resolves every force acting along the slope at a given position and velocity, in newtons.
+     * Positive values push the car forward (down the track), negative values push it back.
+     * The normal force is reported as a magnitude since it acts perpendicular to the track.
+     *
+     * Braking force goes through the tyres, so it is capped by their grip μs·N. Asking for more
+     * locks the wheels and the tyres slide at μk·N instead, unless ABS is on, which keeps the
+     * brakes just below the limit (ABS_EFFICIENCY of μs·N). forces.brakeMode says which happened.
+     * In the classic model the surface friction is a tyre force too, so it shares that cap: while
+     * braking the whole tyre force counts as the brake and forces.friction is zero.
+     *
+     * With a gearbox the wheels roll rather than the car being pushed along like a block, so the
+     * surface's friction is not a resistance: it is the grip the drive wheels push against. The
+     * drive force is capped at μs·N, and asking for more spins the wheels, which then push with
+     * only μk·N until the demand drops below that (forces.wheelspin).
+     *
+     * μ and rolling resistance come from the surface under the car (see surfaceAt), so patches
+     * and transition zones apply; forces.surface names it for display.
+     */
+    function computeForces(position, velocity, controls = inputs) {
+        const terrain = terrainAt(terrains, position);
+        const slopeAngle = slopeAt(terrain, position);
+        const angleRad = (slopeAngle * Math.PI) / 180;
+
+        const weight = cfg.mass * cfg.gravity;
+        const normal = weight * Math.cos(angleRad);
+        const gravity = -weight * Math.sin(angleRad);
+        const brakeCapacity = controls.brake * cfg.brakeForce;
+        const condition = conditionsAt(state.conditions, position);
+        const underfoot = surfaceAt(terrains, position, cfg.rollingResistance);
+        const muStatic = underfoot.muStatic * condition.muFactor;
+        const muKinetic = underfoot.muKinetic * condition.muFactor;
+        const rollingResistance = underfoot.rollingResistance;
+
+        let engine = controls.throttle * cfg.engineForce;
+        let wheelspin = false;
+        if (cfg.gearbox) {
+            const demand = state.shiftTimer > 0
+                ? 0
+                : engine * torqueShare(engineRpm(velocity, state.gear)) * GEAR_RATIOS[state.gear - 1] / GEAR_RATIOS[0];
+            wheelspin = demand > (state.wheelspin ? muKinetic : muStatic) * normal;
+            engine = wheelspin ? muKinetic * normal : demand;
+        }
+
+        const forces = {
+            engine: engine,
+            brake: 0,
+            normal: normal,
+            friction: 0,
+            gravity: gravity,
+            drag: 0,
+            rolling: 0,
+            net: 0,
+            mu: muKinetic, // Effective μ after conditions
+            baseMu: underfoot.muKinetic, // The surface's own μ (blended in a transition zone)
+            conditions: condition.active,
+            mode: 'kinetic',
+            brakeMode: 'off',
+            wheelspin: wheelspin,
+            terrain: terrain, // The track segment (slopes); surface is what the tyres are on
+            surface: underfoot.surface,
+            surfaceMix: underfoot.mix,
+            slope: slopeAngle
+        };
+
+        const grip = muStatic * normal;
+        // Surface friction resists the car only in the classic model (see above)
+        let surfaceFriction = cfg.gearbox ? 0 : muKinetic * normal;
+        let brakeForce = 0;
+        if (brakeCapacity > 0) {
+            forces.brakeMode = 'rolling';
+            brakeForce = surfaceFriction + brakeCapacity;
+            if (brakeForce > grip) {
+                forces.brakeMode = cfg.abs ? 'abs' : 'locked';
+                brakeForce = cfg.abs ? ABS_EFFICIENCY * grip : muKinetic * normal;
+            }
+            surfaceFriction = 0;
+        }
+
+        if (Math.abs(velocity) < STOP_THRESHOLD) {
+            // Stopped: static friction (plus a held brake) resists whatever the engine and slope apply,
+            // up to μs·N - or, with rolling wheels, only rolling resistance does. Only once that limit
+            // is exceeded does the car break away and move.
+            const applied = engine + gravity;
+            const staticLimit = (cfg.gearbox ? rollingResistance : muStatic) * normal;
+            // A held brake grips through the same tyres, so without a gearbox it adds nothing
+            const brakeHold = cfg.gearbox ? Math.min(brakeCapacity, grip) : 0;
+
+            if (Math.abs(applied) <= staticLimit + brakeHold) {
+                forces.mu = muStatic;
+                forces.baseMu = underfoot.muStatic;
+                forces.mode = 'static';
+                const hold = -Math.sign(applied) * Math.min(Math.abs(applied), staticLimit);
+                if (cfg.gearbox) forces.rolling = hold;
+                else forces.friction = hold;
+                forces.brake = -(applied + hold);
+            } else {
+                const direction = Math.sign(applied);
+                forces.friction = -direction * surfaceFriction;
+                forces.brake = -direction * brakeForce;
+                forces.rolling = -direction * rollingResistance * normal;
+            }
+        } else {
+            // Moving: kinetic friction, brakes, rolling resistance and drag all oppose the direction of travel
+            const direction = Math.sign(velocity);
+            forces.friction = -direction * surfaceFriction;
+            forces.brake = -direction * brakeForce;
+            forces.rolling = -direction * rollingResistance * normal;
+            forces.drag = -direction * 0.5 * cfg.airDensity * cfg.dragCoefficient * cfg.frontalArea * velocity * velocity;
+        }
+
+        forces.net = forces.engine + forces.brake + forces.friction + forces.gravity + forces.drag + forces.rolling;
+        return forces;
+    }
+
+    /**
+     * Advances position and velocity by dt with the configured integrator.
+     * Inputs are held constant across the step; forces are re-evaluated per stage.
+     */
+    function integrate(pos, vel, dt) {
+        const accelAt = (x, v) => computeForces(x, v).net / cfg.mass;
+
+        if (cfg.integrator === 'euler') {
+            const a = accelAt(pos, vel);
+            return { pos: pos + vel * dt, vel: vel + a * dt };
+        }
+
+        if (cfg.integrator === 'rk4') {
+            const k1x = vel;
+            const k1v = accelAt(pos, vel);
+            const k2x = vel + k1v * dt / 2;
+            const k2v = accelAt(pos + k1x * dt / 2, k2x);
+            const k3x = vel + k2v * dt / 2;
+            const k3v = accelAt(pos + k2x * dt / 2, k3x);
+            const k4x = vel + k3v * dt;
+            const k4v = accelAt(pos + k3x * dt, k4x);
+            return {
+                pos: pos + (dt / 6) * (k1x + 2 * k2x + 2 * k3x + k4x),
+                vel: vel + (dt / 6) * (k1v + 2 * k2v + 2 * k3v + k4v)
+            };
+        }
+
+        // Semi-implicit (symplectic) Euler: update velocity first, then move with the new velocity
+        const a = accelAt(pos, vel);
+        const newVel = vel + a * dt;
+        return { pos: pos + newVel * dt, vel: newVel };
+    }
+
+    /** What a controller sees before each fixed step. */
+    function observe() {
+        const terrain = terrainAt(terrains, state.pos);
+        return {
+            pos: state.pos,
+            vel: state.vel,
+            acc: state.acc,
+            time: state.time,
+            terrain: terrain,
+            surface: surfaceAt(terrains, state.pos, cfg.rollingResistance).surface,
+            slope: slopeAt(terrain, state.pos),
+            gear: state.gear,
+            wheelspin: state.wheelspin,
+            trackLength: trackLength,
+            terrains: terrains
+        };
+    }
+
+    /** Advances the simulation by exactly one fixed step of dt seconds. */
+    function fixedStep(dt) {
+        const lastInput = state.inputLog[state.inputLog.length - 1];
+        if (!lastInput || lastInput.throttle !== inputs.throttle || lastInput.brake !== inputs.brake) {
+            state.inputLog.push({ step: state.steps, t: state.time, throttle: inputs.throttle, brake: inputs.brake });
+        }
+        
+        const forces = computeForces(state.pos, state.vel);
+        const surface = forces.surface;
+        state.forces = forces;
+        state.frictionMode = forces.mode;
+        state.brakeMode = forces.brakeMode;
+        state.wheelspin = forces.wheelspin;
+
+        // Newton's second law: a = ΣF / m
+        state.acc = forces.net / cfg.mass;
+        state.prevPos = state.pos;
+
+        const prevVel = state.vel;
+        if (forces.mode === 'static') {
+            state.vel = 0;
+        } else {
+            const next = integrate(state.pos, state.vel, dt);
+            state.pos = next.pos;
+            state.vel = next.vel;
+        }
+        // Distance the forces acted over, at the step's average speed: over one step
+        // ΣF · this is exactly the change in kinetic energy, so the energy balance closes
+        let travel = 0.5 * (prevVel + state.vel) * dt;
+
+        // Friction and brakes can stop the car but never reverse it; the next step decides
+        // (via the static check) whether the slope is steep enough to make it slide back.
+        // The car halts where its speed crossed zero, so travel covers only the forward part
+        // and the forces' work still matches the kinetic energy they took away.
+        if (prevVel !== 0 && Math.sign(state.vel) !== Math.sign(prevVel)) {
+            const stopTime = dt * prevVel / (prevVel - state.vel);
+            travel = 0.5 * prevVel * stopTime;
+            state.pos = state.prevPos + travel;
+            state.vel = 0;
+        }
+
+        // Speed governor (optional) - without it top speed emerges from drag and friction alone
+        if (cfg.maxSpeed !== null && Math.abs(state.vel) > cfg.maxSpeed) {
+            const governed = Math.sign(state.vel) * cfg.maxSpeed;
+            state.losses.limits += 0.5 * cfg.mass * (state.vel * state.vel - governed * governed);
+            state.vel = governed;
+        }
+
+        // Max Speed Tracking
+        if (state.vel > state.maxSpeed) state.maxSpeed = state.vel;
+
+        state.time += dt;
+
+        if (cfg.gearbox) {
+            state.shiftTimer = Math.max(0, state.shiftTimer - dt);
+            state.rpm = engineRpm(state.vel, state.gear);
+            if (cfg.gearbox === 'automatic' && state.shiftTimer === 0) {
+                if (state.rpm > UPSHIFT_RPM) changeGear(1);
+                else if (state.rpm < DOWNSHIFT_RPM) changeGear(-1);
+            }
+        }
+
+        // Energy dissipated by each resistive force over this step: |F · Δx|
+        const distance = Math.abs(travel);
+        const frictionLoss = Math.abs(forces.friction) * distance;
+        const dragLoss = Math.abs(forces.drag) * distance;
+        const rollingLoss = Math.abs(forces.rolling) * distance;
+        state.losses.friction += frictionLoss;
+        state.losses.drag += dragLoss;
+        state.losses.rolling += rollingLoss;
+        state.losses.brake += Math.abs(forces.brake) * distance;
+        state.energy.engine += forces.engine * travel;
+
+        let terrainStat = state.terrainStats[surface.name];
+        if (!terrainStat) {
+            terrainStat = state.terrainStats[surface.name] = { maxSpeed: 0, friction: 0, drag: 0, rolling: 0 };
+        }
+        terrainStat.maxSpeed = Math.max(terrainStat.maxSpeed, Math.abs(state.vel));
+        terrainStat.friction += frictionLoss;
+        terrainStat.drag += dragLoss;
+        terrainStat.rolling += rollingLoss;
+
+        // The start line is a wall: a car sliding backward stops there
+        if (state.pos < 0) {
+            state.losses.limits += 0.5 * cfg.mass * state.vel * state.vel;
+            state.pos = 0;
+            state.vel = 0;
+        }
+
+        // Work-energy balance, taken before the finish line brings the car to a stop: the engine's
+        // work must equal the kinetic and potential energy gained plus everything dissipated
+        const energy = state.energy;
+        energy.kinetic = 0.5 * cfg.mass * state.vel * state.vel;
+        energy.potential = cfg.mass * cfg.gravity * elevationAt(terrains, state.pos);
+        energy.dissipated = Object.values(state.losses).reduce((sum, loss) => sum + loss, 0);
+        energy.residual = energy.engine - (energy.kinetic + energy.potential + energy.dissipated);
+        // As a share of the engine's work, but at least of the energy it takes to lift the car 1 m,
+        // so the rounding in the first few steps doesn't count
+        energy.drift = Math.abs(energy.residual) / Math.max(energy.engine, cfg.mass * cfg.gravity);
+
+        // Check if finished
+        if (state.pos >= trackLength) {
+            state.pos = trackLength;
+            state.vel = 0;
+            state.finished = true;
+        }
+        
+        state.steps++;
+        state.trajectory.push(state.pos);
+
+        // Record history every HISTORY_INTERVAL, and at full resolution while μ is changing - with the
+        // step before the change too - so short patches and transition zones are not skipped over
+        const sample = {
+            t: state.time,
+            pos: state.pos,
+            vel: state.vel,
+            acc: state.acc,
+            mu: forces.mu,
+            baseMu: forces.baseMu,
+            slope: forces.slope,
+            terrain: surface.name,
+            condition: forces.conditions.length ? forces.conditions.join('+') : 'dry',
+            throttle: inputs.throttle,
+            brake: inputs.brake,
+            brakeMode: forces.brakeMode,
+            gear: state.gear,
+            rpm: state.rpm,
+            wheelspin: forces.wheelspin,
+            energy: { ...state.energy },
+            losses: { ...state.losses },
+            forces: {
+                engine: forces.engine,
+                brake: forces.brake,
+                normal: forces.normal,
+                friction: forces.friction,
+                gravity: forces.gravity,
+                drag: forces.drag,
+                rolling: forces.rolling,
+                net: forces.net
+            }
+        };
+        const lastRecorded = state.history[state.history.length - 1];
+        const muChanged = previousSample !== null && sample.mu !== previousSample.mu;
+        if (muChanged && previousSample !== lastRecorded) state.history.push(previousSample);
+        if (!lastRecorded || muChanged || state.time - lastRecorded.t > HISTORY_INTERVAL) state.history.push(sample);
+        previousSample = sample;
+    }
+
+    function step(dt, newInputs) {
+        const controller = newInputs && typeof newInputs.update === 'function' ? newInputs : null;
+        if (newInputs && !controller) inputs = clampInputs(newInputs);
+
+        accumulator += dt;
+        while (accumulator >= FIXED_DT && !state.finished) {
+            if (controller) inputs = clampInputs(controller.update(observe(), FIXED_DT));
+            fixedStep(FIXED_DT);
+            accumulator -= FIXED_DT;
+        }
+        if (state.finished) accumulator = 0;
+
+        state.alpha = state.finished ? 1 : accumulator / FIXED_DT;
+        return state;
+    }
+
+    /**
+     * Where the car would come to rest if the current pedals were held from now on, found by
+     * stepping a copy of the motion forward without touching state - so slopes, surface changes
+     * and drag ahead are all accounted for. Returns { position, distance, time }, with
+     * beyondFinish set if the finish line comes first, or null if the car would not stop
+     * (not moving, still accelerating, or held going by a downhill).
+     */
+    function predictStop() {
+        if (state.finished || Math.abs(state.vel) < STOP_THRESHOLD) return null;
+
+        const controls = { ...inputs };
+        const direction = Math.sign(state.vel);
+        let pos = state.pos;
+        let vel = state.vel;
+        let time = 0;
+
+        while (time < STOP_PREDICTION_TIME) {
+            const a = computeForces(pos, vel, controls).net / cfg.mass;
+            vel += a * FIXED_DT;
+            time += FIXED_DT;
+            if (Math.sign(vel) !== direction || Math.abs(vel) < STOP_THRESHOLD) {
+                return { position: pos, distance: Math.abs(pos - state.pos), time: time };
+            }
+            pos += vel * FIXED_DT;
+            if (pos >= trackLength || pos <= 0) {
+                const end = pos >= trackLength ? trackLength : 0;
+                return { position: end, distance: Math.abs(end - state.pos), time: time, beyondFinish: end === trackLength };
+            }
+        }
+        return null;
+    }
+
+    /** Moves to another gear (if there is one) and starts the shift. Returns whether it did. */
+    function changeGear(delta) {
+        const gear = Math.min(GEAR_RATIOS.length, Math.max(1, state.gear + delta));
+        if (gear === state.gear) return false;
+        state.gear = gear;
+        state.shiftTimer = SHIFT_TIME;
+        state.rpm = engineRpm(state.vel, gear);
+        state.gearLog.push({ step: state.steps, t: state.time, gear: gear });
+        return true;
+    }
+
+    function shiftGear(delta) {
+        if (cfg.gearbox !== 'manual' || state.finished) return false;
+        return changeGear(Math.sign(delta));
+    }
+
+    function setConditions(conditions) {
+        state.conditions = conditions;
+        state.conditionLog.push({ step: state.steps, t: state.time, conditions: conditions });
+    }
+
+    function getState() {
+        return state;
+    }
+
+    reset();
+
+    return {
+        config: cfg,
+        terrains: terrains,
+        step: step,
+        getState: getState,
+        reset: reset,
+        setConditions: setConditions,
+        shiftGear: shiftGear,
+        predictStop: predictStop,
+        computeForces: computeForces
+    };
+}
+
+// ====================================================================
+// ===== DATA EXPORT ==================================================
+// ====================================================================
+
+const FORCE_KEYS = ['engine', 'brake', 'normal', 'friction', 'gravity', 'drag', 'rolling', 'net'];
+const ENERGY_COLUMNS = { kinetic: 'E_kinetic', potential: 'E_potential', engine: 'W_engine', dissipated: 'E_dissipated', residual: 'E_residual' };
+
+function csvCell(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Flattens history samples into CSV text (one row per sample, forces in newtons, energies in joules).
+ */
+function historyToCsv(history) {
+    const header = ['t', 'pos', 'vel', 'acc', 'mu', 'mu_base', 'slope', 'terrain', 'condition', 'throttle', 'brake', 'brake_mode', 'gear', 'rpm', 'wheelspin']
+        .concat(FORCE_KEYS.map(key => `F_${key}`))
+        .concat(Object.values(ENERGY_COLUMNS));
+
+    const rows = history.map(sample => [
+        sample.t.toFixed(4),
+        sample.pos.toFixed(4),
+        sample.vel.toFixed(4),
+        sample.acc.toFixed(4),
+        sample.mu.toFixed(3),
+        sample.baseMu.toFixed(3),
+        sample.slope.toFixed(2),
+        sample.terrain,
+        sample.condition,
+        sample.throttle,
+        sample.brake,
+        sample.brakeMode,
+        sample.gear === null ? '' : sample.gear,
+        sample.rpm === null ? '' : sample.rpm.toFixed(0),
+        sample.wheelspin ? 1 : 0
+    ].concat(FORCE_KEYS.map(key => sample.forces[key].toFixed(2)))
+        .concat(Object.keys(ENERGY_COLUMNS).map(key => sample.energy[key].toFixed(1))));
+
+    return [header].concat(rows).map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Bundles everything needed to reproduce and analyse a run: configuration, track layout,
+ * physics constants, summary statistics, the recorded input timeline and the sampled history.
+ */
+function buildRunReport(simulation) {
+    const state = simulation.getState();
+    const { terrains: _omit, ...config } = simulation.config;
+
+    return {
+        config: config,
+        constants: {
+            fixedDt: FIXED_DT,
+            stopThreshold: STOP_THRESHOLD,
+            absEfficiency: ABS_EFFICIENCY,
+            energyTolerance: ENERGY_TOLERANCE,
+            historyInterval: HISTORY_INTERVAL,
+            drivetrain: config.gearbox ? {
+                gearRatios: GEAR_RATIOS,
+                finalDrive: FINAL_DRIVE,
+                wheelRadius: WHEEL_RADIUS,
+                idleRpm: IDLE_RPM,
+                redlineRpm: REDLINE_RPM,
+                upshiftRpm: UPSHIFT_RPM,
+                downshiftRpm: DOWNSHIFT_RPM,
+                shiftTime: SHIFT_TIME,
+                torqueCurve: TORQUE_CURVE
+            } : null
+        },
+        track: simulation.terrains.map(t => ({
+            name: t.name,
+            start: t.start,
+            end: t.end,
+            length: t.length,
+            muStatic: t.muStatic,
+            muKinetic: t.muKinetic,
+            rollingResistance: typeof t.rollingResistance === 'number' ? t.rollingResistance : config.rollingResistance,
+            slopes: t.slopes
+        })),
+        summary: {
+            finished: state.finished,
+            distance: state.pos,
+            time: state.time,
+            avgSpeed: state.time > 0 ? state.pos / state.time : 0,
+            maxSpeed: state.maxSpeed,
+            losses: state.losses,
+            energy: state.energy,
+            terrainStats: state.terrainStats
+        },
+        inputLog: state.inputLog,
+        conditionLog: state.conditionLog,
+        gearLog: state.gearLog,
+        history: state.history
+    };
+}
+
+/**
+ * Definitions a module needs from the files loaded before it. In the browser every script's
+ * top-level names are globals, so fromGlobals() picks them up; under Node the files are required.
+ * The other modules reach this as globalThis.importShared, or require it from here under Node.
+ */
+function importShared(files, fromGlobals) {
+    if (typeof module === 'undefined' || !module.exports) return fromGlobals();
+    return Object.assign({}, ...files.map(file => require(file)));
+}
+
+// Node / CommonJS export (the browser simply shares these as script globals)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createSimulation,
+        importShared,
+        buildTrack,
+        buildTerrains,
+        historyToCsv,
+        buildRunReport,
+        terrainAt,
+        surfaceAt,
+        surfaceStretches,
+        slopeAt,
+        terrainHeightAt,
+        elevationAt,
+        conditionsAt,
+        DEFAULT_CONFIG,
+        DEFAULT_SURFACES,
+        SURFACE_CONDITIONS,
+        SURFACE_TRANSITIONS,
+        BASE_SLOPES,
+        FIXED_DT,
+        INTEGRATORS,
+        GEARBOXES,
+        GEAR_RATIOS,
+        REDLINE_RPM,
+        ABS_EFFICIENCY,
+        ENERGY_TOLERANCE,
+        STOP_THRESHOLD
+    };
+}
@@ -0,0 +1,119 @@
+// ====================================================================
+// ===== SURFACE LIBRARY ==============================================
+// ====================================================================
+// Named surfaces the track can be built from. The built-in set always exists; surfaces the
+// user adds, and any built-ins they edit, are saved as JSON in a Storage-like object
+// (window.localStorage in the browser):
+//
+//     const { createSurfaceLibrary } = require('./surface-library.js');
+//     const library = createSurfaceLibrary(); // in-memory, nothing persisted
+//     library.save({ name: 'CLAY', emoji: '🧱', muStatic: 0.6, muKinetic: 0.5, color: '#c2410c', darkColor: '#7c2d12' });
+
+const libraryCore = (globalThis.importShared || require('./simulation.js').importShared)(
+    ['./simulation.js', './track-format.js'],
+    () => ({ DEFAULT_SURFACES, validateSurface })
+);
+
+const SURFACE_LIBRARY_KEY = 'surfaceMatters.surfaceLibrary';
+
+// BUILT-IN SURFACES - the classic three first, then common road and off-road surfaces (typical tyre values)
+const BUILTIN_SURFACES = libraryCore.DEFAULT_SURFACES.concat([
+    { name: 'ASPHALT', emoji: '🛣️', muStatic: 0.90, muKinetic: 0.75, rollingResistance: 0.012, color: '#6b7280', darkColor: '#374151' },
+    { name: 'WET ASPHALT', emoji: '🌧️', muStatic: 0.60, muKinetic: 0.50, rollingResistance: 0.015, color: '#4b5563', darkColor: '#1f2937' },
+    { name: 'GRAVEL', emoji: '🪨', muStatic: 0.65, muKinetic: 0.55, rollingResistance: 0.030, color: '#a8a29e', darkColor: '#57534e' },
+    { name: 'SNOW', emoji: '❄️', muStatic: 0.30, muKinetic: 0.20, rollingResistance: 0.030, color: '#f1f5f9', darkColor: '#94a3b8' },
+    { name: 'MUD', emoji: '🟫', muStatic: 0.45, muKinetic: 0.35, rollingResistance: 0.100, color: '#92400e', darkColor: '#451a03' },
+    { name: 'RUBBER', emoji: '🏁', muStatic: 1.10, muKinetic: 0.95, rollingResistance: 0.010, color: '#374151', darkColor: '#111827' }
+]);
+
+/**
+ * Creates a surface library backed by storage (anything with getItem/setItem, or null to keep
+ * it in memory). Saved entries that no longer validate are dropped rather than breaking the app.
+ */
+function createSurfaceLibrary(storage = null) {
+    let saved = load();
+
+    function load() {
+        if (!storage) return [];
+        try {
+            const data = JSON.parse(storage.getItem(SURFACE_LIBRARY_KEY) || '[]');
+            if (!Array.isArray(data)) return [];
+            return data.map(entry => libraryCore.validateSurface(entry, 'Saved surface', [])).filter(Boolean);
+        } catch (err) {
+            return [];
+        }
+    }
+
+    function persist() {
+        if (!storage) return;
+        try {
+            storage.setItem(SURFACE_LIBRARY_KEY, JSON.stringify(saved));
+        } catch (err) {
+            // Storage full or disabled: the library keeps working for this session
+        }
+    }
+
+    function isBuiltIn(name) {
+        return BUILTIN_SURFACES.some(s => s.name === name);
+    }
+
+    /** True for a built-in surface whose values the user has changed. */
+    function isModified(name) {
+        return isBuiltIn(name) && saved.some(s => s.name === name);
+    }
+
+    /** Every surface: built-ins (with any edits applied) in their fixed order, then user surfaces. */
+    function getAll() {
+        const surfaces = BUILTIN_SURFACES.map(builtIn => saved.find(s => s.name === builtIn.name) || builtIn);
+        saved.forEach(surface => {
+            if (!isBuiltIn(surface.name)) surfaces.push(surface);
+        });
+        return surfaces;
+    }
+
+    function get(name) {
+        return getAll().find(s => s.name === name) || null;
+    }
+
+    /**
+     * Adds a surface, or replaces previousName with it. Returns { surface, errors } like the
+     * track file validators: surface is null unless errors is empty.
+     */
+    function save(surface, previousName = null) {
+        const errors = [];
+        const valid = libraryCore.validateSurface(surface, 'Surface', errors);
+        if (!valid) return { surface: null, errors };
+
+        if (previousName && previousName !== valid.name && isBuiltIn(previousName)) {
+            errors.push(`Built-in surface "${previousName}" cannot be renamed.`);
+        } else if (valid.name !== previousName && get(valid.name)) {
+            errors.push(`A surface named "${valid.name}" already exists.`);
+        }
+        if (errors.length) return { surface: null, errors };
+
+        const index = saved.findIndex(s => s.name === (previousName || valid.name));
+        if (index >= 0) saved[index] = valid;
+        else saved.push(valid);
+        persist();
+        return { surface: valid, errors: [] };
+    }
+
+    /** Deletes a user surface, or restores a built-in to its original values. */
+    function remove(name) {
+        const count = saved.length;
+        saved = saved.filter(s => s.name !== name);
+        persist();
+        return saved.length !== count;
+    }
+
+    return { getAll, get, isBuiltIn, isModified, save, remove };
+}
+
+// Node / CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BUILTIN_SURFACES,
+        SURFACE_LIBRARY_KEY,
+        createSurfaceLibrary
+    };
+}
@@ -0,0 +1,101 @@
+// ====================================================================
+// ===== SIMULATION CHECKS ============================================
+// ====================================================================
+// Headless checks on the physics and the track format, with nothing but Node:
+//
+//     node tests/simulation.test.js
+//
+// Each check prints its name; the first failed assertion stops the script with a non-zero exit.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createSimulation, buildTrack, FIXED_DT, INTEGRATORS } = require('../simulation.js');
+const { parseTrackFile, serializeTrack } = require('../track-format.js');
+const { createFullThrottleController } = require('../controllers.js');
+
+const FULL_THROTTLE = { throttle: 1, brake: 0 };
+
+function check(name, fn) {
+    fn();
+    console.log(`ok - ${name}`);
+}
+
+/** Steps with the given inputs until the run finishes (or maxTime passes), then returns the state. */
+function runToFinish(sim, inputs, maxTime = 120) {
+    while (!sim.getState().finished && sim.getState().time < maxTime) sim.step(FIXED_DT, inputs);
+    return sim.getState();
+}
+
+/** Builds the terrains a validated track file describes, the way the menu does. */
+function buildTerrainsFor(track) {
+    return buildTrack(track.segments, track.surfaces, {
+        patches: track.surfacePatches.map(patch => ({ ...patch, surface: track.surfaces.find(s => s.name === patch.surface) })),
+        transition: track.transition
+    });
+}
+
+check('default track runs headless at full throttle', () => {
+    const state = runToFinish(createSimulation(), FULL_THROTTLE);
+    assert.ok(state.finished, 'the car should reach the finish line');
+    assert.strictEqual(state.time.toFixed(2), '24.01');
+    assert.ok(state.energy.drift < 0.01, `energy drift ${state.energy.drift} is over 1%`);
+});
+
+check('step() gives the same run however dt is sliced', () => {
+    const fixed = createSimulation();
+    const framed = createSimulation();
+    for (let i = 0; i < 600; i++) fixed.step(FIXED_DT, FULL_THROTTLE);
+    for (let i = 0; i < 300; i++) framed.step(2 * FIXED_DT, FULL_THROTTLE);
+    assert.strictEqual(framed.getState().pos, fixed.getState().pos);
+    assert.strictEqual(framed.getState().vel, fixed.getState().vel);
+});
+
+check('every integrator repeats a controlled run exactly', () => {
+    INTEGRATORS.forEach(integrator => {
+        const runs = [0, 1].map(() => {
+            const sim = createSimulation({ integrator: integrator });
+            while (!sim.getState().finished && sim.getState().time < 120) sim.step(FIXED_DT, createFullThrottleController());
+            return sim.getState();
+        });
+        assert.ok(runs[0].finished, `${integrator}: the car should reach the finish line`);
+        assert.strictEqual(runs[1].time, runs[0].time, `${integrator}: finish times differ`);
+        assert.deepStrictEqual(runs[1].history, runs[0].history, `${integrator}: histories differ`);
+    });
+});
+
+check('predictStop() matches where braking actually stops the car', () => {
+    [{}, { abs: true }].forEach(config => {
+        const sim = createSimulation(config);
+        while (sim.getState().pos < 100) sim.step(FIXED_DT, FULL_THROTTLE);
+        const braking = { throttle: 0, brake: 1 };
+        sim.step(FIXED_DT, braking);
+        const prediction = sim.predictStop();
+        assert.ok(prediction, 'a braking car should get a prediction');
+        while (Math.abs(sim.getState().vel) > 0 && sim.getState().time < 120) sim.step(FIXED_DT, braking);
+        assert.ok(Math.abs(prediction.position - sim.getState().pos) < 0.5,
+            `predicted ${prediction.position.toFixed(2)} m, stopped at ${sim.getState().pos.toFixed(2)} m`);
+    });
+    assert.strictEqual(createSimulation().predictStop(), null, 'a car at rest has nothing to predict');
+});
+
+check('track files survive a serialize/parse round trip', () => {
+    const dir = path.join(__dirname, '..', 'tracks');
+    fs.readdirSync(dir).filter(file => file.endsWith('.json')).forEach(file => {
+        const loaded = parseTrackFile(fs.readFileSync(path.join(dir, file), 'utf8'));
+        assert.deepStrictEqual(loaded.errors, [], file);
+        const terrains = buildTerrainsFor(loaded.track);
+
+        const text = serializeTrack(terrains, {
+            name: loaded.track.name,
+            description: loaded.track.description,
+            physics: loaded.track.physics,
+            conditions: loaded.track.conditions
+        });
+        const reloaded = parseTrackFile(text);
+        assert.deepStrictEqual(reloaded.errors, [], file);
+        assert.deepStrictEqual(buildTerrainsFor(reloaded.track), terrains, `${file}: terrains changed`);
+        assert.deepStrictEqual(reloaded.track.physics, loaded.track.physics, `${file}: physics changed`);
+        assert.deepStrictEqual(reloaded.track.conditions, loaded.track.conditions, `${file}: conditions changed`);
+    });
+});
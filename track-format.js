@@ -0,0 +1,488 @@
+// ====================================================================
+// ===== TRACK FILE FORMAT (v1) =======================================
+// ====================================================================
+// A track file is JSON that teachers can hand out instead of dictating menu values.
+//
+// {
+//   "format": "surface-matters-track",      required, always this string
+//   "version": 1,                           required, format version
+//   "name": "Icy downhill into sand",       optional, shown in the menu
+//   "description": "...",                   optional
+//   "surfaces": [                           optional, adds to / overrides the built-in surfaces
+//     { "name": "ICE", "emoji": "🧊",       name: required, unique, 1-20 chars
+//       "muStatic": 0.20,                   0 ≤ μk ≤ μs ≤ 2
+//       "muKinetic": 0.15,
+//       "rollingResistance": 0.02,          optional Crr 0-1; omitted = the car's own
+//       "color": "#a5f3fc",                 hex colors (#rgb or #rrggbb)
+//       "darkColor": "#06b6d4" }
+//   ],
+//   "segments": [                           required, at least one, driven in order
+//     { "surface": "ICE",                   must name a built-in or file surface
+//       "length": 200,                      metres, > 0
+//       "slopes": [                         optional; uncovered stretches are flat
+//         { "start": 0, "end": 120, "angle": -8 }   metres from the segment start,
+//       ] }                                 0 ≤ start < end ≤ length, no overlaps, |angle| ≤ 45°
+//   ],
+//   "surfacePatches": [                     optional, spots of another surface cut into the segments
+//     { "surface": "ICE",                   must name a built-in or file surface
+//       "start": 610, "end": 625 }          metres from the track start, within it, no overlaps
+//   ],
+//   "transition": {                         optional; without it μ changes in one step
+//     "length": 10,                         metres (0-100] over which μ blends at every change of surface
+//     "shape": "smooth" },                  linear or smooth (see SURFACE_TRANSITIONS)
+//   "physics": {                            optional preset, any subset of:
+//     "gravity", "engineForce", "brakeForce", "mass", "maxSpeed" (null = no governor),
+//     "airDensity", "dragCoefficient", "frontalArea", "rollingResistance", "integrator",
+//     "abs" (true/false), "gearbox" ("automatic", "manual" or null = classic constant engine force)
+//   },
+//   "conditions": {                         optional, μ modifiers (see SURFACE_CONDITIONS)
+//     "weather": "wet",                     dry, wet, frozen or dusty; whole track
+//     "patches": [                          optional; metres from the track start
+//       { "condition": "puddle", "start": 300, "end": 320 }
+//     ]
+//   }
+// }
+
+const simulationCore = (globalThis.importShared || require('./simulation.js').importShared)(
+    ['./simulation.js'],
+    () => ({ DEFAULT_SURFACES, INTEGRATORS, GEARBOXES, SURFACE_CONDITIONS, SURFACE_TRANSITIONS })
+);
+
+const TRACK_FORMAT_ID = 'surface-matters-track';
+const TRACK_FORMAT_VERSION = 1;
+
+const TRACK_LIMITS = {
+    maxMu: 2,
+    maxSlopeAngle: 45, // degrees
+    maxRollingResistance: 1,
+    maxSurfaceNameLength: 20,
+    maxTransitionLength: 100 // m
+};
+
+// Physics preset fields: [min, max] for numbers (max null = unbounded)
+const TRACK_PHYSICS_FIELDS = {
+    gravity: [0.1, 100],
+    engineForce: [0, null],
+    brakeForce: [0, null],
+    mass: [1, null],
+    maxSpeed: [1, null],
+    airDensity: [0, 100],
+    dragCoefficient: [0, 5],
+    frontalArea: [0, 100],
+    rollingResistance: [0, 1]
+};
+
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+}
+
+function validateSurface(surface, label, errors) {
+    if (!surface || typeof surface !== 'object') {
+        errors.push(`${label} must be an object.`);
+        return null;
+    }
+
+    const { name, emoji, muStatic, muKinetic, rollingResistance, color, darkColor } = surface;
+    const before = errors.length;
+
+    if (typeof name !== 'string' || !name.trim() || name.length > TRACK_LIMITS.maxSurfaceNameLength) {
+        errors.push(`${label}: "name" must be a non-empty string of at most ${TRACK_LIMITS.maxSurfaceNameLength} characters.`);
+    }
+    const where = typeof name === 'string' && name.trim() ? `Surface "${name}"` : label;
+
+    ['muStatic', 'muKinetic'].forEach(key => {
+        const value = surface[key];
+        if (!isFiniteNumber(value) || value < 0 || value > TRACK_LIMITS.maxMu) {
+            errors.push(`${where}: "${key}" must be a number from 0 to ${TRACK_LIMITS.maxMu} (got ${JSON.stringify(value)}).`);
+        }
+    });
+    if (isFiniteNumber(muStatic) && isFiniteNumber(muKinetic) && muKinetic > muStatic) {
+        errors.push(`${where}: kinetic μ (${muKinetic}) cannot be greater than static μ (${muStatic}).`);
+    }
+    if (rollingResistance !== undefined && rollingResistance !== null &&
+        (!isFiniteNumber(rollingResistance) || rollingResistance < 0 || rollingResistance > TRACK_LIMITS.maxRollingResistance)) {
+        errors.push(`${where}: "rollingResistance" must be a number from 0 to ${TRACK_LIMITS.maxRollingResistance} (got ${JSON.stringify(rollingResistance)}).`);
+    }
+
+    ['color', 'darkColor'].forEach(key => {
+        if (!HEX_COLOR.test(surface[key] || '')) {
+            errors.push(`${where}: "${key}" must be a hex color like "#a5f3fc" (got ${JSON.stringify(surface[key])}).`);
+        }
+    });
+
+    if (errors.length > before) return null;
+    const result = {
+        name: name.trim(),
+        emoji: typeof emoji === 'string' ? emoji : '',
+        muStatic: muStatic,
+        muKinetic: muKinetic,
+        color: color,
+        darkColor: darkColor
+    };
+    if (isFiniteNumber(rollingResistance)) result.rollingResistance = rollingResistance;
+    return result;
+}
+
+/**
+ * Checks one segment's slopes and converts them to the { angle, length } pieces
+ * buildTrack expects, filling any uncovered stretch with flat ground.
+ */
+function validateSlopes(slopes, segmentLength, label, errors) {
+    if (slopes === undefined) return [];
+    if (!Array.isArray(slopes)) {
+        errors.push(`${label}: "slopes" must be a list.`);
+        return [];
+    }
+
+    const before = errors.length;
+    slopes.forEach((slope, i) => {
+        const where = `${label}, slope ${i + 1}`;
+        if (!slope || typeof slope !== 'object') {
+            errors.push(`${where} must be an object with start, end and angle.`);
+            return;
+        }
+        if (!isFiniteNumber(slope.start) || !isFiniteNumber(slope.end) || slope.start < 0 || slope.end <= slope.start) {
+            errors.push(`${where}: needs 0 ≤ start < end (got start ${JSON.stringify(slope.start)}, end ${JSON.stringify(slope.end)}).`);
+        } else if (isFiniteNumber(segmentLength) && segmentLength > 0 && slope.end > segmentLength) {
+            errors.push(`${where}: ends at ${slope.end} m, past the end of the ${segmentLength} m segment.`);
+        }
+        if (!isFiniteNumber(slope.angle) || Math.abs(slope.angle) > TRACK_LIMITS.maxSlopeAngle) {
+            errors.push(`${where}: "angle" must be between -${TRACK_LIMITS.maxSlopeAngle}° and ${TRACK_LIMITS.maxSlopeAngle}° (got ${JSON.stringify(slope.angle)}).`);
+        }
+    });
+    if (errors.length > before) return [];
+
+    const sorted = slopes.slice().sort((a, b) => a.start - b.start);
+    for (let i = 1; i < sorted.length; i++) {
+        if (sorted[i].start < sorted[i - 1].end) {
+            errors.push(`${label}: slopes overlap between ${sorted[i].start} m and ${Math.min(sorted[i].end, sorted[i - 1].end)} m.`);
+            return [];
+        }
+    }
+
+    const pieces = [];
+    let cursor = 0;
+    sorted.forEach(slope => {
+        if (slope.start > cursor) pieces.push({ angle: 0, length: slope.start - cursor });
+        pieces.push({ angle: slope.angle, length: slope.end - slope.start });
+        cursor = slope.end;
+    });
+    if (cursor < segmentLength) pieces.push({ angle: 0, length: segmentLength - cursor });
+    return pieces;
+}
+
+function validatePhysics(physics, errors) {
+    if (physics === undefined) return null;
+    if (!physics || typeof physics !== 'object' || Array.isArray(physics)) {
+        errors.push('"physics" must be an object.');
+        return null;
+    }
+
+    const result = {};
+    Object.keys(physics).forEach(key => {
+        const value = physics[key];
+        if (key === 'integrator') {
+            if (!simulationCore.INTEGRATORS.includes(value)) errors.push(`Physics: "integrator" must be one of ${simulationCore.INTEGRATORS.join(', ')}.`);
+            else result.integrator = value;
+            return;
+        }
+        if (key === 'abs') {
+            if (typeof value !== 'boolean') errors.push(`Physics: "abs" must be true or false (got ${JSON.stringify(value)}).`);
+            else result.abs = value;
+            return;
+        }
+        if (key === 'gearbox') {
+            if (value !== null && !simulationCore.GEARBOXES.includes(value)) errors.push(`Physics: "gearbox" must be one of ${simulationCore.GEARBOXES.join(', ')} or null.`);
+            else result.gearbox = value;
+            return;
+        }
+        if (key === 'maxSpeed' && value === null) {
+            result.maxSpeed = null;
+            return;
+        }
+        const range = TRACK_PHYSICS_FIELDS[key];
+        if (!range) {
+            errors.push(`Physics: unknown setting "${key}".`);
+            return;
+        }
+        const [min, max] = range;
+        if (!isFiniteNumber(value) || value < min || (max !== null && value > max)) {
+            errors.push(`Physics: "${key}" must be a number ${max !== null ? `from ${min} to ${max}` : `of at least ${min}`} (got ${JSON.stringify(value)}).`);
+            return;
+        }
+        result[key] = value;
+    });
+    return result;
+}
+
+/**
+ * Checks the surface patches against the surfaces available and the track length (null if the
+ * segments are broken). Returns them sorted by start, or [] after adding to errors.
+ */
+function validateSurfacePatches(patches, surfaces, trackLength, errors) {
+    if (patches === undefined) return [];
+    if (!Array.isArray(patches)) {
+        errors.push('"surfacePatches" must be a list.');
+        return [];
+    }
+
+    const before = errors.length;
+    patches.forEach((patch, i) => {
+        const where = `Surface patch ${i + 1}`;
+        if (!patch || typeof patch !== 'object') {
+            errors.push(`${where} must be an object with surface, start and end.`);
+            return;
+        }
+        if (!surfaces.some(s => s.name === patch.surface)) {
+            const names = surfaces.map(s => s.name).join(', ');
+            errors.push(`${where}: unknown surface ${JSON.stringify(patch.surface)} (known surfaces: ${names}).`);
+        }
+        if (!isFiniteNumber(patch.start) || !isFiniteNumber(patch.end) || patch.start < 0 || patch.end <= patch.start) {
+            errors.push(`${where}: needs 0 ≤ start < end (got start ${JSON.stringify(patch.start)}, end ${JSON.stringify(patch.end)}).`);
+        } else if (trackLength !== null && patch.end > trackLength) {
+            errors.push(`${where}: ends at ${patch.end} m, past the end of the ${trackLength} m track.`);
+        }
+    });
+    if (errors.length > before) return [];
+
+    const sorted = patches
+        .map(patch => ({ surface: patch.surface, start: patch.start, end: patch.end }))
+        .sort((a, b) => a.start - b.start);
+    for (let i = 1; i < sorted.length; i++) {
+        if (sorted[i].start < sorted[i - 1].end) {
+            errors.push(`Surface patches overlap between ${sorted[i].start} m and ${Math.min(sorted[i].end, sorted[i - 1].end)} m.`);
+            return [];
+        }
+    }
+    return sorted;
+}
+
+function validateTransition(transition, errors) {
+    if (transition === undefined || transition === null) return null;
+    if (typeof transition !== 'object' || Array.isArray(transition)) {
+        errors.push('"transition" must be an object with length and shape.');
+        return null;
+    }
+
+    const shapes = Object.keys(simulationCore.SURFACE_TRANSITIONS);
+    const { length, shape } = transition;
+    const before = errors.length;
+    if (!isFiniteNumber(length) || length <= 0 || length > TRACK_LIMITS.maxTransitionLength) {
+        errors.push(`Transition: "length" must be a number of metres above 0 and at most ${TRACK_LIMITS.maxTransitionLength} (got ${JSON.stringify(length)}).`);
+    }
+    if (!shapes.includes(shape)) {
+        errors.push(`Transition: "shape" must be one of ${shapes.join(', ')} (got ${JSON.stringify(shape)}).`);
+    }
+    return errors.length > before ? null : { length: length, shape: shape };
+}
+
+function validateConditions(conditions, trackLength, errors) {
+    if (conditions === undefined) return null;
+    if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+        errors.push('"conditions" must be an object.');
+        return null;
+    }
+
+    const known = Object.keys(simulationCore.SURFACE_CONDITIONS);
+    const weathers = known.filter(key => !simulationCore.SURFACE_CONDITIONS[key].patchOnly);
+    const patchKinds = known.filter(key => key !== 'dry');
+    const weather = conditions.weather === undefined ? 'dry' : conditions.weather;
+    if (!weathers.includes(weather)) {
+        errors.push(`Conditions: "weather" must be one of ${weathers.join(', ')} (got ${JSON.stringify(weather)}).`);
+    }
+
+    const patches = [];
+    if (conditions.patches !== undefined && !Array.isArray(conditions.patches)) {
+        errors.push('Conditions: "patches" must be a list.');
+    } else {
+        (conditions.patches || []).forEach((patch, i) => {
+            const where = `Conditions, patch ${i + 1}`;
+            if (!patch || typeof patch !== 'object') {
+                errors.push(`${where} must be an object with condition, start and end.`);
+                return;
+            }
+            if (!patchKinds.includes(patch.condition)) {
+                errors.push(`${where}: "condition" must be one of ${patchKinds.join(', ')} (got ${JSON.stringify(patch.condition)}).`);
+            }
+            if (!isFiniteNumber(patch.start) || !isFiniteNumber(patch.end) || patch.start < 0 || patch.end <= patch.start) {
+                errors.push(`${where}: needs 0 ≤ start < end (got start ${JSON.stringify(patch.start)}, end ${JSON.stringify(patch.end)}).`);
+            } else if (trackLength !== null && patch.end > trackLength) {
+                errors.push(`${where}: ends at ${patch.end} m, past the end of the ${trackLength} m track.`);
+            }
+            patches.push({ condition: patch.condition, start: patch.start, end: patch.end });
+        });
+    }
+    return { weather: weather, patches: patches };
+}
+
+/**
+ * Validates parsed track JSON. Returns { track, errors }: track is null unless errors is empty.
+ * knownSurfaces are the surfaces available without being defined in the file.
+ */
+function validateTrackDefinition(data, knownSurfaces = simulationCore.DEFAULT_SURFACES) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { track: null, errors: ['The file must contain a JSON object.'] };
+    }
+    if (data.format !== TRACK_FORMAT_ID) {
+        errors.push(`"format" must be "${TRACK_FORMAT_ID}" - this does not look like a track file.`);
+    }
+    if (data.version !== TRACK_FORMAT_VERSION) {
+        errors.push(`Unsupported track file version ${JSON.stringify(data.version)} (this app reads version ${TRACK_FORMAT_VERSION}).`);
+    }
+    if (errors.length) return { track: null, errors };
+
+    // Surfaces: file entries override built-ins with the same name
+    const surfaces = knownSurfaces.slice();
+    const fileSurfaces = [];
+    if (data.surfaces !== undefined && !Array.isArray(data.surfaces)) {
+        errors.push('"surfaces" must be a list.');
+    } else {
+        (data.surfaces || []).forEach((entry, i) => {
+            const surface = validateSurface(entry, `Surface ${i + 1}`, errors);
+            if (!surface) return;
+            if (fileSurfaces.some(s => s.name === surface.name)) {
+                errors.push(`Surface "${surface.name}" is defined more than once.`);
+                return;
+            }
+            fileSurfaces.push(surface);
+            const existing = surfaces.findIndex(s => s.name === surface.name);
+            if (existing >= 0) surfaces[existing] = surface;
+            else surfaces.push(surface);
+        });
+    }
+
+    const segments = [];
+    if (!Array.isArray(data.segments) || data.segments.length === 0) {
+        errors.push('"segments" must be a list with at least one segment.');
+    } else {
+        data.segments.forEach((segment, i) => {
+            const label = `Segment ${i + 1}`;
+            if (!segment || typeof segment !== 'object') {
+                errors.push(`${label} must be an object.`);
+                return;
+            }
+            if (!surfaces.some(s => s.name === segment.surface)) {
+                const names = surfaces.map(s => s.name).join(', ');
+                errors.push(`${label}: unknown surface ${JSON.stringify(segment.surface)} (known surfaces: ${names}).`);
+            }
+            if (!isFiniteNumber(segment.length) || segment.length <= 0) {
+                errors.push(`${label}: "length" must be a positive number of metres (got ${JSON.stringify(segment.length)}).`);
+            }
+            const slopes = validateSlopes(segment.slopes, segment.length, label, errors);
+            segments.push({ surface: segment.surface, length: segment.length, slopes: slopes });
+        });
+    }
+
+    const segmentsValid = segments.length > 0 && segments.every(segment => isFiniteNumber(segment.length) && segment.length > 0);
+    const trackLength = segmentsValid ? segments.reduce((sum, segment) => sum + segment.length, 0) : null;
+    const surfacePatches = validateSurfacePatches(data.surfacePatches, surfaces, trackLength, errors);
+    const transition = validateTransition(data.transition, errors);
+    const physics = validatePhysics(data.physics, errors);
+    const conditions = validateConditions(data.conditions, trackLength, errors);
+
+    if (errors.length) return { track: null, errors };
+    return {
+        track: {
+            name: typeof data.name === 'string' ? data.name : '',
+            description: typeof data.description === 'string' ? data.description : '',
+            surfaces: surfaces,
+            fileSurfaces: fileSurfaces,
+            segments: segments,
+            surfacePatches: surfacePatches,
+            transition: transition,
+            physics: physics,
+            conditions: conditions
+        },
+        errors: []
+    };
+}
+
+/**
+ * Parses and validates track file text. Returns { track, errors } like validateTrackDefinition.
+ */
+function parseTrackFile(text, knownSurfaces = simulationCore.DEFAULT_SURFACES) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        return { track: null, errors: [`The file is not valid JSON: ${err.message}`] };
+    }
+    return validateTrackDefinition(data, knownSurfaces);
+}
+
+/**
+ * Writes built terrains (see buildTrack), an optional physics preset and optional conditions
+ * out as track file JSON. Every surface the track uses is embedded so the file loads anywhere.
+ */
+function serializeTrack(terrains, options = {}) {
+    const surfaces = [];
+    const patches = terrains.reduce((all, terrain) => all.concat(terrain.patches || []), []);
+    terrains.concat(patches).forEach(terrain => {
+        if (surfaces.some(s => s.name === terrain.name)) return;
+        const surface = {
+            name: terrain.name,
+            emoji: terrain.emoji,
+            muStatic: terrain.muStatic,
+            muKinetic: terrain.muKinetic,
+            color: terrain.color,
+            darkColor: terrain.darkColor
+        };
+        if (typeof terrain.rollingResistance === 'number') surface.rollingResistance = terrain.rollingResistance;
+        surfaces.push(surface);
+    });
+
+    const round = value => Math.round(value * 1000) / 1000;
+    // buildTrack cuts a patch that spans a segment boundary in two; join the pieces up again
+    const surfacePatches = [];
+    patches.forEach(patch => {
+        const last = surfacePatches[surfacePatches.length - 1];
+        if (last && last.surface === patch.name && last.end === round(patch.start)) last.end = round(patch.end);
+        else surfacePatches.push({ surface: patch.name, start: round(patch.start), end: round(patch.end) });
+    });
+
+    const file = {
+        format: TRACK_FORMAT_ID,
+        version: TRACK_FORMAT_VERSION,
+        name: options.name || '',
+        description: options.description || '',
+        surfaces: surfaces,
+        segments: terrains.map(terrain => ({
+            surface: terrain.name,
+            length: round(terrain.length),
+            slopes: terrain.slopes
+                .filter(slope => slope.angle !== 0)
+                .map(slope => ({
+                    start: round(slope.start - terrain.start),
+                    end: round(slope.end - terrain.start),
+                    angle: slope.angle
+                }))
+        }))
+    };
+    if (surfacePatches.length) file.surfacePatches = surfacePatches;
+    if (terrains.length && terrains[0].transition) file.transition = { ...terrains[0].transition };
+    if (options.physics) file.physics = options.physics;
+    if (options.conditions && (options.conditions.weather !== 'dry' || options.conditions.patches.length)) {
+        file.conditions = options.conditions;
+    }
+
+    return JSON.stringify(file, null, 2);
+}
+
+// Node / CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TRACK_FORMAT_ID,
+        TRACK_FORMAT_VERSION,
+        TRACK_LIMITS,
+        TRACK_PHYSICS_FIELDS,
+        validateSurface,
+        validatePhysics,
+        validateTrackDefinition,
+        parseTrackFile,
+        serializeTrack
+    };
+}